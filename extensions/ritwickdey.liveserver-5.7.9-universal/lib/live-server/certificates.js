@@ -0,0 +1,159 @@
+'use strict';
+
+var fs = require('fs'),
+	path = require('path'),
+	crypto = require('crypto'),
+	forge = require('node-forge');
+
+var DAY = 24 * 60 * 60 * 1000;
+var CA_VALIDITY_DAYS = 825;
+// Browsers reject server certificates that are valid for more than 398 days.
+var CERT_VALIDITY_DAYS = 397;
+var RENEW_BEFORE_DAYS = 30;
+
+function readFile(filePath) {
+	try {
+		return fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		return null;
+	}
+}
+
+function readCertificate(filePath) {
+	var pem = readFile(filePath);
+	try {
+		return pem && forge.pki.certificateFromPem(pem);
+	} catch (e) {
+		return null;
+	}
+}
+
+function isExpiring(cert) {
+	return cert.validity.notAfter.getTime() - Date.now() < RENEW_BEFORE_DAYS * DAY;
+}
+
+function isIssuedBy(cert, caCert) {
+	try {
+		return caCert.verify(cert);
+	} catch (e) {
+		return false;
+	}
+}
+
+function altNamesOf(cert) {
+	var ext = cert.getExtension('subjectAltName');
+	return ext ? ext.altNames.map(function (altName) {
+		return altName.ip || altName.value;
+	}) : [];
+}
+
+function isIp(host) {
+	return /^[\d.]+$/.test(host) || host.indexOf(':') > -1;
+}
+
+// Key generation in pure JS is slow, so the keys come from the native crypto module
+function generateKeyPair() {
+	var keys = crypto.generateKeyPairSync('rsa', {
+		modulusLength: 2048,
+		publicKeyEncoding: { type: 'spki', format: 'pem' },
+		privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+	});
+	return {
+		publicKey: forge.pki.publicKeyFromPem(keys.publicKey),
+		privateKey: forge.pki.privateKeyFromPem(keys.privateKey)
+	};
+}
+
+function createCertificate(publicKey, subject, validityDays, issuer, signingKey, extensions) {
+	var cert = forge.pki.createCertificate();
+	cert.publicKey = publicKey;
+	// A leading `01` keeps the serial number positive
+	cert.serialNumber = '01' + crypto.randomBytes(15).toString('hex');
+	cert.validity.notBefore = new Date(Date.now() - DAY);
+	cert.validity.notAfter = new Date(Date.now() + validityDays * DAY);
+	cert.setSubject(subject);
+	cert.setIssuer(issuer);
+	cert.setExtensions(extensions);
+	cert.sign(signingKey, forge.md.sha256.create());
+	return cert;
+}
+
+// The certificates handed out, by folder and hosts, with the PEM of the certificate file they were read from.
+// The files are still read on every start, but the keys are only generated and parsed again once they change.
+var issued = new Map();
+
+function caCertPath(storagePath) {
+	return path.join(storagePath, 'liveServer-ca.crt');
+}
+
+function getCa(storagePath, onCaCreated) {
+	var keyPath = path.join(storagePath, 'liveServer-ca.key');
+	var cert = readCertificate(caCertPath(storagePath));
+	var keyPem = cert && readFile(keyPath);
+	if (cert && keyPem && !isExpiring(cert)) {
+		return { cert: cert, key: forge.pki.privateKeyFromPem(keyPem) };
+	}
+	var keys = generateKeyPair();
+	var subject = [
+		{ name: 'commonName', value: 'Live Server Local CA' },
+		{ name: 'organizationName', value: 'Live Server' }
+	];
+	var caCert = createCertificate(keys.publicKey, subject, CA_VALIDITY_DAYS, subject, keys.privateKey, [
+		{ name: 'basicConstraints', cA: true, critical: true },
+		{ name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+		{ name: 'subjectKeyIdentifier' }
+	]);
+	fs.writeFileSync(caCertPath(storagePath), forge.pki.certificateToPem(caCert));
+	fs.writeFileSync(keyPath, forge.pki.privateKeyToPem(keys.privateKey), { mode: 384 }); // 0600
+	if (onCaCreated) onCaCreated(caCertPath(storagePath));
+	return { cert: caCert, key: keys.privateKey };
+}
+
+/**
+ * Certificate of the `auto` https mode. A local CA is created once and signs a certificate for the hosts
+ * the server is reachable at. Both are kept in `storagePath` and renewed before they expire.
+ * @param storagePath {string} Folder of the certificates, created if needed
+ * @param hosts {array} Host names and IP addresses the certificate has to cover
+ * @param onCaCreated {function} Optional, called with the path of the CA certificate when a new CA was created
+ * @returns {object} { cert, key } PEM of the certificate followed by the CA, and of its key
+ */
+module.exports = function (storagePath, hosts, onCaCreated) {
+	var certPath = path.join(storagePath, 'liveServer-localhost.crt');
+	var keyPath = path.join(storagePath, 'liveServer-localhost.key');
+	var cacheKey = storagePath + '\n' + hosts.join('\n');
+	var cached = issued.get(cacheKey);
+	if (cached && cached.pem === readFile(certPath) && cached.notAfter - Date.now() >= RENEW_BEFORE_DAYS * DAY) {
+		return cached.result;
+	}
+	fs.mkdirSync(storagePath, { recursive: true });
+	var ca = getCa(storagePath, onCaCreated);
+	var cert = readCertificate(certPath);
+	var keyPem = cert && readFile(keyPath);
+	var isReusable = cert && keyPem && !isExpiring(cert) && isIssuedBy(cert, ca.cert) &&
+		hosts.every(function (host) {
+			return altNamesOf(cert).indexOf(host) > -1;
+		});
+	if (!isReusable) {
+		var keys = generateKeyPair();
+		cert = createCertificate(keys.publicKey, [{ name: 'commonName', value: hosts[0] }], CERT_VALIDITY_DAYS,
+			ca.cert.subject.attributes, ca.key, [
+				{ name: 'basicConstraints', cA: false },
+				{ name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+				{ name: 'extKeyUsage', serverAuth: true },
+				{ name: 'subjectAltName', altNames: hosts.map(function (host) {
+					return isIp(host) ? { type: 7, ip: host } : { type: 2, value: host };
+				}) }
+			]);
+		keyPem = forge.pki.privateKeyToPem(keys.privateKey);
+		fs.writeFileSync(certPath, forge.pki.certificateToPem(cert));
+		fs.writeFileSync(keyPath, keyPem, { mode: 384 }); // 0600
+	}
+	var result = {
+		cert: forge.pki.certificateToPem(cert) + forge.pki.certificateToPem(ca.cert),
+		key: keyPem
+	};
+	issued.set(cacheKey, { pem: readFile(certPath), notAfter: cert.validity.notAfter.getTime(), result: result });
+	return result;
+};
+
+module.exports.caCertPath = caCertPath;
@@ -0,0 +1,141 @@
+'use strict';
+
+var fs = require('fs'),
+	path = require('path'),
+	Transform = require('stream').Transform;
+
+var DEFAULT_EXTENSIONS = ['.html', '.htm', '.shtml'];
+var INCLUDE = /<!--#include\s+(file|virtual)\s*=\s*(["'])(.*?)\2\s*-->/gi;
+var VARIABLE = /\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}/g;
+
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, function (c) {
+		return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+	});
+}
+
+function decode(target) {
+	try {
+		return decodeURIComponent(target);
+	} catch (e) {
+		return target;
+	}
+}
+
+function lookup(data, name) {
+	return name.split('.').reduce(function (value, key) {
+		return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+	}, data);
+}
+
+/**
+ * Server-side includes for HTML pages:
+ * `<!--#include file="partials/nav.html" -->` (relative to the including file) or
+ * `<!--#include virtual="/partials/nav.html" -->` (relative to the server root). Included files can include others.
+ * `{{name}}` and `{{site.title}}` are replaced with values of a JSON data file, as is. Unknown names are kept,
+ * so client-side templates (e.g. Vue) are left alone.
+ * Errors are shown in the page in place of the include.
+ * @param options {object} { root, data, extensions, readFile }
+ *   root: server root for `virtual` includes
+ *   data: path of the JSON data file, read on every request. A missing file means no values.
+ *   extensions: file extensions to process (default: .html, .htm, .shtml)
+ *   readFile: function returning the text of a file (default: the file on disk)
+ */
+module.exports = function (options) {
+	var readFile = options.readFile || function (file) {
+		return fs.readFileSync(file, 'utf8');
+	};
+	var extensions = (options.extensions || DEFAULT_EXTENSIONS).map(function (ext) {
+		ext = ext.toLowerCase();
+		return ext.charAt(0) !== '.' ? '.' + ext : ext;
+	});
+
+	function readData(result) {
+		if (!options.data) return {};
+		var text;
+		try {
+			text = readFile(options.data);
+		} catch (e) {
+			if (e.code === 'ENOENT') return {};
+			result.errors.push('Data file "' + options.data + '" could not be read: ' + e.message);
+			return {};
+		}
+		result.files.push(options.data);
+		try {
+			return JSON.parse(text.replace(/^\uFEFF/, ''));
+		} catch (e) {
+			result.errors.push('Data file "' + options.data + '" is not valid JSON: ' + e.message);
+			return {};
+		}
+	}
+
+	/**
+	 * @param source {string} Contents of the page
+	 * @param filePath {string} Path of the page
+	 * @returns {object} { html, errors, files } with the messages of failed includes and every file the page was built from
+	 */
+	function render(source, filePath) {
+		var result = { html: '', errors: [], files: [] };
+		var data = readData(result);
+
+		function fail(message) {
+			result.errors.push(message);
+			return '<div style="margin:4px;padding:4px 8px;border:2px solid #d00;background:#fee;color:#900;font:14px monospace">' +
+				'Live Server: ' + escapeHtml(message) + '</div>';
+		}
+
+		function expand(text, file, stack) {
+			return text.replace(INCLUDE, function (match, kind, quote, target) {
+				var includePath = kind.toLowerCase() === 'virtual' ?
+					path.join(options.root, decode(target)) :
+					path.resolve(path.dirname(file), target);
+				var where = ' in "' + path.relative(options.root, file) + '"';
+				if (stack.indexOf(includePath) > -1)
+					return fail('Recursive include of "' + target + '"' + where);
+				var contents;
+				try {
+					contents = readFile(includePath);
+				} catch (e) {
+					return fail((e.code === 'ENOENT' ? 'Missing include "' : 'Failed include "') + target + '"' + where);
+				}
+				if (result.files.indexOf(includePath) === -1) result.files.push(includePath);
+				return expand(contents.replace(/^\uFEFF/, ''), includePath, stack.concat(includePath));
+			});
+		}
+
+		result.html = expand(source, filePath, [filePath]).replace(VARIABLE, function (match, name) {
+			var value = lookup(data, name);
+			return value === undefined || value === null || typeof value === 'object' ? match : String(value);
+		});
+		return result;
+	}
+
+	return {
+		/**
+		 * @param filePath {string} Path of a served file
+		 */
+		handles: function (filePath) {
+			return extensions.indexOf(path.extname(filePath).toLowerCase()) > -1;
+		},
+		render: render,
+		/**
+		 * Stream which takes the UTF-8 page and outputs it with includes and values filled in.
+		 * @param filePath {string} Path of the page
+		 * @param onRendered {function} Called with the result of `render`
+		 */
+		transform: function (filePath, onRendered) {
+			var chunks = [];
+			return new Transform({
+				transform: function (chunk, encoding, callback) {
+					chunks.push(chunk);
+					callback();
+				},
+				flush: function (callback) {
+					var result = render(Buffer.concat(chunks).toString('utf8'), filePath);
+					onRendered(result);
+					callback(null, Buffer.from(result.html, 'utf8'));
+				}
+			});
+		}
+	};
+};
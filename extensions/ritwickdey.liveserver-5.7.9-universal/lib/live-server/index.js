@@ -0,0 +1,1155 @@
+#!/usr/bin/env node
+
+'use strict';
+
+
+/*
+	Taken from https://github.com/tapio/live-server for modification
+*/
+
+var fs = require('fs'),
+	connect = require('connect'),
+	serveIndex = require('serve-index'),
+	logger = require('morgan'),
+	WebSocket = require('faye-websocket'),
+	path = require('path'),
+	url = require('url'),
+	http = require('http'),
+	send = require('send'),
+	open = require('opn'),
+	os = require('os'),
+	util = require('util'),
+	crypto = require('crypto'),
+	EventEmitter = require('events'),
+	PassThrough = require('stream').PassThrough,
+	chokidar = require('chokidar'),
+	proxyRule = require('./middleware/proxy'),
+	createInjector = require('./inject'),
+	reloadable = require('./middleware/reloadable');
+require('colors');
+
+
+
+
+let GET_INJECTED_CODE = () => {
+	if (!GET_INJECTED_CODE.cache){
+		GET_INJECTED_CODE.cache = fs.readFileSync(path.join(__dirname, "injected.html"), "utf8");
+	}
+
+	return GET_INJECTED_CODE.cache;
+}
+
+var LiveServer = {
+	instances: []
+};
+
+// Changes of these files are swapped into the open pages instead of reloading them
+var ASSET_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico', '.bmp',
+	'.woff', '.woff2', '.ttf', '.otf', '.eot'];
+var DEFAULT_INJECT_EXTENSIONS = ['', '.html', '.htm', '.xhtml', '.php', '.svg'];
+var DEFAULT_INJECT_MIME_TYPES = ['text/html', 'application/xhtml+xml', 'image/svg+xml'];
+
+/**
+ * State of one running server. Every `LiveServer.start` call creates its own instance,
+ * so several servers (e.g. one per workspace folder) can run side by side.
+ * Emits `console` with { level, args, stack, url, client } when `forwardConsole` is on,
+ * `mocks` with { error, routes } whenever the mocks file was read,
+ * `middleware` with { file, error, url } when a middleware module was (re)loaded or failed,
+ * `includes` with { file, url, errors } when server-side includes of a page failed,
+ * and `client` with { type: 'connect' | 'update' | 'disconnect', client } when a page connects, reports its
+ * location or size, or goes away. `client` is an entry of `getClients()`.
+ * Emits `request` with { method, url, status, time, size, address } for every finished request.
+ * @param options {object} Options given to `LiveServer.start`
+ */
+function LiveServerInstance(options) {
+	EventEmitter.call(this);
+	this.options = options;
+	this.server = null;
+	this.watcher = null;
+	this.clients = [];
+	this.sockets = new Set();
+	this.listening = null;
+	this.root = options.root || process.cwd();
+	this.mounts = [];
+	this.mocks = null;
+	this.userMiddleware = [];
+	this.logLevel = options.logLevel === undefined ? 2 : options.logLevel;
+	this.useBrowserExtension = options.useBrowserExtension || false;
+	this.onTagMissedCallback = options.onTagMissedCallback || null;
+	this.injectExtensions = (options.injectExtensions || DEFAULT_INJECT_EXTENSIONS).map(function (ext) {
+		ext = ext.toLowerCase();
+		return ext && ext.charAt(0) !== '.' ? '.' + ext : ext; // 'html' works as well as '.html'
+	});
+	this.injectMimeTypes = options.injectMimeTypes || DEFAULT_INJECT_MIME_TYPES;
+	this.clientOptions = {
+		forwardConsole: options.forwardConsole || false,
+		htmlHotUpdate: options.htmlHotUpdate || false
+	};
+	this.nextClientId = 1;
+	this.notifyChange = function () { };
+	this.targetedReload = options.targetedReload || false;
+	this.sync = options.sync || false;
+	this.servedFiles = new Map();
+	this.requestsByPage = new Map();
+	// URLs and pages tracked for targeted reload, the least recently requested are forgotten first
+	this.trackLimit = 1000;
+	this.contents = new Map();
+	// HTML of the pages as last served or sent for html hot update, by file
+	this.pageSources = new Map();
+	this.throttle = require('./middleware/throttle')(options.throttle || null);
+	this.recorder = require('./middleware/recorder')({
+		maxBodySize: options.recordBodySize,
+		onRequest: this.emit.bind(this, 'request')
+	});
+	this.includes = options.includes ?
+		require('./includes')(Object.assign({ root: this.root, readFile: this.readFile.bind(this) },
+			options.includes === true ? {} : options.includes)) : null;
+	this.markdown = options.markdown ? require('./markdown')(options.markdown === true ? {} : options.markdown) : null;
+}
+
+util.inherits(LiveServerInstance, EventEmitter);
+
+/**
+ * @param nonce {string} Optional CSP nonce for the script tag
+ */
+LiveServerInstance.prototype.injectedCode = function (nonce) {
+	if (this.useBrowserExtension === true) return '';
+	if (!this.injectedCodeCache) {
+		this.injectedCodeCache = GET_INJECTED_CODE().replace('/* live-server-options */{}', JSON.stringify(this.clientOptions));
+	}
+	return nonce ? this.injectedCodeCache.replace('<script>', '<script nonce="' + nonce + '">') : this.injectedCodeCache;
+};
+
+/**
+ * Whether the reload script is injected into a file, by its extension or by the MIME type of that extension.
+ * @param filePath {string} Path of the served file
+ */
+LiveServerInstance.prototype.isInjectable = function (filePath) {
+	if (this.useBrowserExtension === true) return false;
+	var ext = path.extname(filePath).toLowerCase();
+	return this.injectExtensions.indexOf(ext) > -1 ||
+		this.injectMimeTypes.indexOf(send.mime.lookup(filePath)) > -1;
+};
+
+LiveServerInstance.prototype.address = function () {
+	return this.server ? this.server.address() : null;
+};
+
+/**
+ * URL paths under which a file on disk is served, e.g. ['/about/index.html'].
+ * @param filePath {string} Absolute path of the file
+ */
+LiveServerInstance.prototype.urlPathsOf = function (filePath) {
+	function toUrlPath(base, route) {
+		var relative = path.relative(base, filePath);
+		if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+		return route.replace(/\/+$/, '') + '/' + relative.split(path.sep).join('/');
+	}
+	return [toUrlPath(this.root, '')]
+		.concat(this.mounts.map(function (mountRule) {
+			return toUrlPath(mountRule[1], mountRule[0]);
+		}))
+		.filter(function (urlPath) {
+			return urlPath !== null;
+		});
+};
+
+/**
+ * File on disk that is served at an URL path, or null if there is none.
+ * @param urlPath {string} e.g. '/js/app.js'
+ */
+LiveServerInstance.prototype.filePathOf = function (urlPath) {
+	var candidates = [[this.root, '']].concat(this.mounts.map(function (mountRule) {
+		return [mountRule[1], mountRule[0].replace(/\/+$/, '')];
+	}));
+	for (var i = 0; i < candidates.length; ++i) {
+		var route = candidates[i][1];
+		if (route && urlPath !== route && urlPath.indexOf(route + '/') !== 0) continue;
+		var filePath = path.join(candidates[i][0], urlPath.slice(route.length));
+		// URL paths come from the pages, e.g. their stack frames, and must not lead out of the served folders
+		var relative = path.relative(candidates[i][0], filePath);
+		if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) continue;
+		if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) return filePath;
+	}
+	return null;
+};
+
+/**
+ * Set `key` as the most recent entry of `map`, dropping the oldest entries over `limit`.
+ * A forgotten URL or page only means that more pages than needed are reloaded.
+ */
+function remember(map, key, value, limit) {
+	map.delete(key);
+	map.set(key, value);
+	while (map.size > limit) map.delete(map.keys().next().value);
+}
+
+/**
+ * Remember which file was served for an URL, and which page (or stylesheet, module...) requested it.
+ * @param req {object} Request of the file
+ * @param filePath {string} Served file
+ */
+LiveServerInstance.prototype.trackRequest = function (req, filePath) {
+	var urlPath = url.parse(req.originalUrl || req.url).pathname;
+	remember(this.servedFiles, urlPath, filePath, this.trackLimit);
+	var referer = req.headers.referer && url.parse(req.headers.referer);
+	if (!referer || referer.host !== req.headers.host || referer.pathname === urlPath) return;
+	var requests = this.requestsByPage.get(referer.pathname) || new Set();
+	remember(this.requestsByPage, referer.pathname, requests, this.trackLimit);
+	requests.add(urlPath);
+};
+
+/**
+ * Remember that the requested page is built from a file which is not requested by itself, e.g. a server-side include.
+ * @param req {object} Request of the page
+ * @param filePath {string} Path of the included file
+ */
+LiveServerInstance.prototype.trackInclude = function (req, filePath) {
+	var urlPath = url.parse(req.originalUrl || req.url).pathname;
+	var key = 'include:' + filePath; // Not an URL path, pages can't request it
+	remember(this.servedFiles, key, filePath, this.trackLimit);
+	var requests = this.requestsByPage.get(urlPath) || new Set();
+	remember(this.requestsByPage, urlPath, requests, this.trackLimit);
+	requests.add(key);
+};
+
+/**
+ * WebSocket clients whose page uses a file, directly or through e.g. a stylesheet or an imported module.
+ * Pages that requested nothing yet (e.g. opened before the server started) are always included.
+ * @param filePath {string} Changed file
+ * @returns {array} Clients, or null if the file was never served and any page could depend on it
+ */
+LiveServerInstance.prototype.clientsUsing = function (filePath) {
+	var self = this;
+	var affected = new Set();
+	this.servedFiles.forEach(function (servedFile, urlPath) {
+		if (servedFile === filePath) affected.add(urlPath);
+	});
+	if (!affected.size) return null;
+	var queue = Array.from(affected);
+	while (queue.length) {
+		var urlPath = queue.shift();
+		this.requestsByPage.forEach(function (requests, page) {
+			if (requests.has(urlPath) && !affected.has(page)) {
+				affected.add(page);
+				queue.push(page);
+			}
+		});
+	}
+	return this.clients.filter(function (ws) {
+		var page = ws.clientInfo.page;
+		return affected.has(page) || (!self.servedFiles.has(page) && !self.requestsByPage.has(page));
+	});
+};
+
+/**
+ * Turn mirroring of scrolling, clicks, navigation and form input between the connected browsers on or off.
+ * @param enabled {boolean}
+ */
+LiveServerInstance.prototype.setSync = function (enabled) {
+	var message = JSON.stringify({ command: 'sync', enabled: !!enabled });
+	this.sync = !!enabled;
+	this.clients.forEach(function (ws) {
+		ws.sendNow(message);
+	});
+};
+
+/**
+ * Switch the simulated network conditions, for requests received from now on.
+ * @param profile {(string|object)} Name of a built-in profile (e.g. 'slow-3g'), a profile object or null to stop throttling
+ */
+LiveServerInstance.prototype.setThrottle = function (profile) {
+	this.throttle.setProfile(profile);
+};
+
+/**
+ * Record the requests received from now on, including their bodies up to `recordBodySize`.
+ * The requests of an earlier recording are dropped.
+ */
+LiveServerInstance.prototype.startRecording = function () {
+	this.recorder.start();
+};
+
+LiveServerInstance.prototype.stopRecording = function () {
+	this.recorder.stop();
+};
+
+/**
+ * @returns {array} The recorded requests as HAR 1.2 entries. `LiveServer.toHar(entries)` makes a HAR file of them.
+ */
+LiveServerInstance.prototype.getRecording = function () {
+	return this.recorder.entries();
+};
+
+/**
+ * Serve `contents` in place of the file on disk, e.g. the unsaved text of an editor, and update the pages using the file.
+ * The file has to exist on disk to be served.
+ * @param filePath {string} Absolute path of the file
+ * @param contents {(string|Buffer)} Contents to serve, null to serve the file on disk again.
+ *                 The pages are only updated if the file on disk differs, a saved file is reported by the watcher.
+ */
+LiveServerInstance.prototype.setContents = function (filePath, contents) {
+	filePath = path.resolve(filePath);
+	var previous = this.contents.get(filePath);
+	if (contents === null || contents === undefined) {
+		if (!previous) return;
+		this.contents.delete(filePath);
+		var onDisk = null;
+		try {
+			onDisk = fs.readFileSync(filePath);
+		} catch (e) { /* deleted, the watcher reports it */ }
+		if (onDisk && !onDisk.equals(previous)) this.notifyChange(filePath);
+		return;
+	}
+	contents = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf8');
+	if (previous && previous.equals(contents)) return;
+	this.contents.set(filePath, contents);
+	this.notifyChange(filePath);
+};
+
+/**
+ * @param filePath {string} Absolute path of a file
+ * @returns {string} The text given to `setContents` or else the file on disk
+ */
+LiveServerInstance.prototype.readFile = function (filePath) {
+	var contents = this.contents.get(path.resolve(filePath));
+	return contents ? contents.toString('utf8') : fs.readFileSync(filePath, 'utf8');
+};
+
+/**
+ * @param filePath {string} Path of an HTML page
+ * @returns {string} The page as it is served, without the reload script
+ */
+LiveServerInstance.prototype.pageSource = function (filePath) {
+	var source = this.readFile(filePath);
+	return this.includes && this.includes.handles(filePath) ? this.includes.render(source, filePath).html : source;
+};
+
+/**
+ * The page served for html hot update. Pages tell from it whether their scripts changed them since.
+ * @param filePath {string} Path of an HTML page
+ * @param source {string} The page as it was served or sent
+ * @returns {string} The page as it was served or sent before, null if unknown
+ */
+LiveServerInstance.prototype.rememberPage = function (filePath, source) {
+	filePath = path.resolve(filePath);
+	var previous = this.pageSources.has(filePath) ? this.pageSources.get(filePath) : null;
+	remember(this.pageSources, filePath, source, this.trackLimit);
+	return previous;
+};
+
+/**
+ * @returns {array} The connected pages: { id, userAgent, address, page, connectedAt } and, once the page
+ * reported it, { url, title, viewport: { width, height, pixelRatio } }
+ */
+LiveServerInstance.prototype.getClients = function () {
+	return this.clients.map(function (ws) {
+		return ws.clientInfo;
+	});
+};
+
+function findClient(instance, id) {
+	return instance.clients.find(function (ws) {
+		return ws.clientInfo.id === id;
+	});
+}
+
+/**
+ * Reload one page.
+ * @param id {number} `id` of an entry of `getClients()`
+ * @returns {boolean} false if the page is no longer connected
+ */
+LiveServerInstance.prototype.reloadClient = function (id) {
+	var ws = findClient(this, id);
+	if (ws) ws.sendNow('reload');
+	return !!ws;
+};
+
+/**
+ * Open another URL in one page.
+ * @param id {number} `id` of an entry of `getClients()`
+ * @param target {string} URL to open, relative URLs are resolved against the page
+ * @returns {boolean} false if the page is no longer connected
+ */
+LiveServerInstance.prototype.navigateClient = function (id, target) {
+	var ws = findClient(this, id);
+	if (ws) ws.sendNow(JSON.stringify({ command: 'navigate', url: target }));
+	return !!ws;
+};
+
+/**
+ * Close the connection of one page. It gets no more reloads until it is opened again.
+ * @param id {number} `id` of an entry of `getClients()`
+ * @returns {boolean} false if the page is no longer connected
+ */
+LiveServerInstance.prototype.disconnectClient = function (id) {
+	var ws = findClient(this, id);
+	if (ws) ws.close();
+	return !!ws;
+};
+
+/**
+ * Reload the pages, like a change of the files would.
+ * @param filePaths {array} Optional, changed files. Without them every page is reloaded.
+ */
+LiveServerInstance.prototype.reload = function (filePaths) {
+	if (!filePaths || !filePaths.length) {
+		this.clients.forEach(function (ws) {
+			ws.send('reload');
+		});
+		return;
+	}
+	filePaths.forEach(this.notifyChange);
+};
+
+/**
+ * Stop the file watcher and the server. Open connections, including WebSockets, are closed.
+ * @returns {Promise} Resolved once the server and all its sockets are closed
+ */
+LiveServerInstance.prototype.shutdown = function () {
+	var self = this;
+	var closing = [];
+	LiveServer.instances = LiveServer.instances.filter(function (instance) {
+		return instance !== self;
+	});
+	if (this.watcher) {
+		closing.push(this.watcher.close());
+		this.watcher = null;
+	}
+	if (this.mocks) {
+		closing.push(this.mocks.close());
+		this.mocks = null;
+	}
+	this.userMiddleware.forEach(function (mw) {
+		closing.push(mw.close());
+	});
+	this.userMiddleware = [];
+	if (this.server && this.server.listening) {
+		closing.push(new Promise(function (resolve) {
+			self.server.close(function () {
+				resolve();
+			});
+		}));
+	}
+	this.sockets.forEach(function (socket) {
+		socket.destroy();
+	});
+	return Promise.all(closing).then(function () { });
+};
+
+function escape(html) {
+	return String(html)
+		.replace(/&(?!\w+;)/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+var CSP_HEADERS = ['Content-Security-Policy', 'Content-Security-Policy-Report-Only'];
+
+function addSources(directive, sources) {
+	var tokens = directive.trim().split(/\s+/).filter(function (token) {
+		return token !== "'none'";
+	});
+	sources.forEach(function (source) {
+		if (tokens.indexOf(source) === -1) tokens.push(source);
+	});
+	return tokens.join(' ');
+}
+
+/**
+ * Allow the injected script and its WebSocket in every policy of a Content-Security-Policy header.
+ * The nonce is added to the directive that governs script elements, unless that directive already
+ * allows inline scripts ('unsafe-inline' is ignored by browsers as soon as a nonce is present).
+ */
+function allowInjectedCode(policies, nonce, wsOrigin) {
+	return policies.split(',').map(function (policy) {
+		var directives = policy.split(';').filter(function (directive) {
+			return directive.trim();
+		});
+		function find(names) {
+			for (var i = 0; i < names.length; ++i) {
+				for (var j = 0; j < directives.length; ++j) {
+					if (directives[j].trim().split(/\s+/)[0].toLowerCase() === names[i]) return j;
+				}
+			}
+			return -1;
+		}
+		var script = find(['script-src-elem', 'script-src', 'default-src']);
+		if (script > -1 && (!/'unsafe-inline'/i.test(directives[script]) || /'(nonce|sha\d+)-/i.test(directives[script]))) {
+			directives[script] = addSources(directives[script], ["'nonce-" + nonce + "'"]);
+		}
+		var connectSrc = find(['connect-src', 'default-src']);
+		if (connectSrc > -1) {
+			directives[connectSrc] = addSources(directives[connectSrc], [wsOrigin]);
+		}
+		return directives.join('; ');
+	}).join(', ');
+}
+
+function safeEqual(a, b) {
+	a = Buffer.from(String(a));
+	b = Buffer.from(String(b));
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Pages opened by the browser get the reload script, fetch()/XHR requests for the same file don't.
+ * Browsers without Sec-Fetch-Dest always get it.
+ */
+function isDocumentRequest(req) {
+	var dest = req.headers['sec-fetch-dest'];
+	return !dest || ['document', 'iframe', 'frame', 'embed', 'object'].indexOf(dest) > -1;
+}
+
+// Based on connect.static(), but streamlined and with added code injecter
+function staticServer(root, instance) {
+	var isFile = false;
+	try { // For supporting mounting files instead of just directories
+		isFile = fs.statSync(root).isFile();
+	} catch (e) {
+		if (e.code !== "ENOENT") throw e;
+	}
+	return function (req, res, next) {
+		if (req.method !== "GET" && req.method !== "HEAD") return next();
+		var reqpath = isFile ? "" : url.parse(req.url).pathname;
+		var injectTag = null;
+		// Markdown is rendered for browser navigation only, scripts fetching the file get the source
+		var markdown = instance.markdown && instance.markdown.handles(isFile ? root : reqpath) && isDocumentRequest(req) ?
+			instance.markdown : null;
+		var filePath = null;
+		var includes = null;
+		var contents = null;
+
+		function directory() {
+			var pathname = url.parse(req.originalUrl).pathname;
+			res.statusCode = 301;
+			res.setHeader('Location', pathname + '/');
+			res.end('Redirecting to ' + escape(pathname) + '/');
+		}
+
+		function file(filepath /*, stat*/) {
+			if (instance.targetedReload) instance.trackRequest(req, filepath);
+			filePath = filepath;
+			includes = !markdown && instance.includes && instance.includes.handles(filepath) ? instance.includes : null;
+			contents = instance.contents.get(path.resolve(filepath)) || null;
+			if (markdown) {
+				injectTag = '</body>';
+				res.setHeader('Content-Type', 'text/html; charset=UTF-8'); // send keeps a type that is already set
+			}
+			else if (instance.isInjectable(filepath) && isDocumentRequest(req))
+				injectTag = send.mime.lookup(filepath) === 'image/svg+xml' ? '</svg>' : '</body>';
+			if (!markdown && injectTag === '</body>' && instance.clientOptions.htmlHotUpdate) {
+				try {
+					instance.rememberPage(filepath, instance.pageSource(filepath));
+				} catch (e) { /* send reports it */ }
+			}
+			if (!injectTag && !includes && !contents) return;
+			// The body changes, so neither ranges nor the length of the file on disk apply.
+			// Without Content-Length the response is sent chunked.
+			delete req.headers.range;
+			var setHeader = res.setHeader;
+			res.setHeader = function (name, value) {
+				var lowerName = String(name).toLowerCase();
+				if (lowerName === 'content-length') return res;
+				// Included files and unsaved contents change while the file on disk doesn't, so it is never answered with 304
+				if ((includes || contents) && (lowerName === 'etag' || lowerName === 'last-modified')) return res;
+				return setHeader.call(res, name, value);
+			};
+		}
+
+		function error(err) {
+			if (err.status === 404) return next();
+			next(err);
+		}
+
+		function reportIncludes(result) {
+			if (instance.targetedReload) {
+				result.files.forEach(function (included) {
+					instance.trackInclude(req, included);
+				});
+			}
+			if (!result.errors.length) return;
+			result.errors.forEach(function (message) {
+				console.error('Include error:'.red, message);
+			});
+			instance.emit('includes', { file: filePath, url: req.url, errors: result.errors });
+		}
+
+		function injector() {
+			var nonce = null;
+			CSP_HEADERS.forEach(function (name) {
+				var policies = res.getHeader(name);
+				if (!policies) return;
+				nonce = nonce || crypto.randomBytes(16).toString('base64');
+				var wsOrigin = (req.connection.encrypted ? 'wss://' : 'ws://') + req.headers.host;
+				res.setHeader(name, Array.isArray(policies) ? policies.map(function (policy) {
+					return allowInjectedCode(policy, nonce, wsOrigin);
+				}) : allowInjectedCode(String(policies), nonce, wsOrigin));
+			});
+			return createInjector(instance.injectedCode(nonce), {
+				tag: injectTag,
+				contentType: res.getHeader('Content-Type'),
+				// Browsers run scripts after </html> too, but code after </svg> breaks the document
+				appendIfMissing: injectTag === '</body>',
+				onMissed: function (appended) {
+					if (instance.onTagMissedCallback) instance.onTagMissedCallback(appended);
+					if (instance.logLevel >= 3)
+						console.warn((appended ? "Appended refresh script." : "Failed to inject refresh script!").yellow,
+							"Couldn't find", injectTag, "in", req.url);
+				}
+			});
+		}
+
+		function inject(stream) {
+			if (!injectTag && !includes && !contents) return;
+			var originalPipe = stream.pipe;
+			stream.pipe = function (resp) {
+				var source = stream;
+				if (contents) {
+					stream.destroy();
+					source = new PassThrough();
+					source.end(contents);
+				}
+				var transforms = [];
+				if (markdown) transforms.push(markdown.transform(filePath));
+				if (includes) transforms.push(includes.transform(filePath, reportIncludes));
+				if (injectTag) transforms.push(injector());
+				return transforms.reduce(function (readable, transform) {
+					return readable === stream ? originalPipe.call(stream, transform) : readable.pipe(transform);
+				}, source).pipe(resp);
+			};
+		}
+
+		send(req, reqpath, {
+			root: root,
+			// The page also depends on the template, the Markdown file alone can't tell if it is fresh
+			etag: !markdown,
+			lastModified: !markdown
+		})
+			.on('error', error)
+			.on('directory', directory)
+			.on('file', file)
+			.on('stream', inject)
+			.pipe(res);
+	};
+}
+
+/**
+ * Rewrite request URL and pass it back to the static handler.
+ * @param staticHandler {function} Next handler
+ * @param file {string} Path to the entry point file
+ */
+function entryPoint(staticHandler, file) {
+	if (!file) return function (req, res, next) {
+		next();
+	};
+
+	return function (req, res, next) {
+		req.url = "/" + file;
+		staticHandler(req, res, next);
+	};
+}
+
+/**
+ * Start a live server with parameters given as an object
+ * @param host {string} Address to bind to (default: 0.0.0.0)
+ * @param port {number} Port number (default: 8080)
+ * @param portFallback {number} How many following ports to try when port is taken (default: 0)
+ * @param root {string} Path to root directory (default: cwd)
+ * @param watch {array} Paths to exclusively watch for changes
+ * @param ignore {array} Paths to ignore when watching files for changes
+ * @param ignorePattern {regexp} Ignore files by RegExp
+ * @param open {(string|string[])} Subpath(s) to open in browser, use false to suppress launch (default: server root)
+ * @param mount {array} Mount directories onto a route, e.g. [['/components', './node_modules']].
+ * @param logLevel {number} 0 = errors only, 1 = some, 2 = lots
+ * @param file {string} Path to the entry point file
+ * @param wait {number} Server will wait for all changes, before reloading
+ * @param htpasswd {string} Path to htpasswd file to enable HTTP Basic authentication
+ * @param auth {object} { username, password } for HTTP Basic authentication without htpasswd file
+ * @param allow {array} IP addresses and CIDR ranges allowed to connect, e.g. ['192.168.1.0/24']. Localhost is always allowed.
+ * @param proxy {array} Proxy rules, [baseUri, proxyUri] pairs or { baseUri, proxyUri, pathRewrite, headers, wsUri } objects
+ * @param middleware {array} Append middleware to stack, e.g. [function(req, res, next) { next(); }].
+ *                    Paths of .js modules are reloaded when they change.
+ * @param spa {(boolean|object)} Serve the entry file for client-side routes, e.g. { file: 'index.html', exclude: ['/api'] }
+ * @param htmlHotUpdate {boolean} Patch the DOM of open pages on HTML changes instead of reloading them
+ * @param targetedReload {boolean} Only reload the pages which requested the changed file (directly or through other files)
+ * @param sync {boolean} Mirror scrolling, clicks, navigation and form input between browsers showing the same page
+ * @param forwardConsole {boolean} Send console output and uncaught errors of the pages back to the server
+ * @param headers {array} Response headers by path, e.g. [{ path: '*.html', headers: { 'Cache-Control': 'no-store' } }].
+ *                 A Content-Security-Policy gets a nonce for the injected script.
+ * @param mocks {string} Path to a JSON file with mock API routes, served before static files. The file is watched.
+ * @param injectExtensions {array} Extensions of files that get the reload script (default: '', .html, .htm, .xhtml, .php, .svg)
+ * @param injectMimeTypes {array} MIME types of files that get the reload script (default: text/html, application/xhtml+xml, image/svg+xml)
+ * @param throttle {(string|object)} Simulated network conditions, a built-in profile ('4g', '3g', 'slow-3g', 'offline', 'offline-flaky')
+ *                 or { latency, downloadKbps, failureRate, failures: [{ path, rate, status }] }. Change it with `instance.setThrottle()`.
+ * @param includes {(boolean|object)} Server-side includes and {{name}} values in HTML pages, e.g. { data: '.liveserver/data.json' }.
+ *                 Errors are emitted as `includes` events.
+ * @param markdown {(boolean|object)} Render .md files as HTML pages, e.g. { template: 'docs/template.html', stylesheet: '/docs.css' }
+ * @param recordBodySize {number} Largest request and response body kept by `instance.startRecording()` (default: 1 MB)
+ * @returns {LiveServerInstance} The started server. `instance.listening` is a promise resolved when the server
+ * listens or rejected with the listen error (e.g. EADDRINUSE, EACCES). Stop it with `instance.shutdown()`.
+ */
+LiveServer.start = function (options, callback) {
+	options = options || {};
+	var instance = new LiveServerInstance(options);
+	var host = options.host || '0.0.0.0';
+	var port = options.port !== undefined ? options.port : 8080; // 0 means random
+	var lastPort = port === 0 ? 0 : port + (options.portFallback || 0);
+	var root = instance.root;
+	var mount = options.mount || [];
+	var watchPaths = options.watch || [root];
+	var logLevel = instance.logLevel;
+	var openPath = (options.open === undefined || options.open === true) ?
+		"" : ((options.open === null || options.open === false) ? null : options.open);
+	if (options.noBrowser) openPath = null; // Backwards compatibility with 0.7.0
+	var file = options.file;
+	var wait = options.wait === undefined ? 100 : options.wait;
+	var browser = options.browser || null;
+	var htpasswd = options.htpasswd || null;
+	var credentials = options.auth || null;
+	var allow = options.allow || null;
+	var cors = options.cors || false;
+	var https = options.https || null;
+	var proxy = options.proxy || [];
+	var middleware = options.middleware || [];
+	var headers = options.headers || [];
+	var mocks = options.mocks || null;
+	/*new*/
+	// var addtionalHTMLtags = options.addtionalHTMLtags || []; //dropped the feature
+	var disableGlobbing = options.disableGlobbing || false;
+	var fullReload = options.fullReload || false;
+	var htmlHotUpdate = options.htmlHotUpdate || false;
+	var spa = options.spa === true ? {} : (options.spa || null);
+
+	var staticServerHandler = staticServer(root, instance);
+
+	// Setup a web server
+	var app = connect();
+	app.use(instance.recorder);
+
+	// Add logger. Level 2 logs only errors
+	if (logLevel === 2) {
+		app.use(logger('dev', {
+			skip: function (req, res) {
+				return res.statusCode < 400;
+			}
+		}));
+		// Level 2 or above logs all requests
+	} else if (logLevel > 2) {
+		app.use(logger('dev'));
+	}
+	var access = null;
+	if (allow !== null) {
+		access = require('./middleware/access')(allow);
+		app.use(access);
+	}
+
+	// Use http-auth if configured
+	var basic = null;
+	if (htpasswd !== null || credentials !== null) {
+		var auth = require('http-auth');
+		basic = htpasswd !== null ? auth.basic({
+			realm: "Please authorize",
+			file: htpasswd
+		}) : auth.basic({
+			realm: "Please authorize"
+		}, function (username, password, check) {
+			check(safeEqual(username, credentials.username) && safeEqual(password, credentials.password));
+		});
+		app.use(auth.connect(basic));
+	}
+	app.use(instance.throttle);
+
+	// Add middleware
+	middleware.map(function (mw) {
+		if (typeof mw === "string") {
+			var ext = path.extname(mw).toLocaleLowerCase();
+			if (ext !== ".js" && !path.isAbsolute(mw)) {
+				mw = require(path.join(__dirname, "middleware", mw + ".js"));
+			} else {
+				mw = reloadable(path.resolve(process.cwd(), mw), function (err, req) {
+					if (err) console.error('Middleware error in %s%s:'.red, mw.file, req ? ' (' + req.url + ')' : '', err);
+					else if (logLevel >= 1) console.log('Loaded middleware "%s"', mw.file);
+					instance.emit('middleware', { file: mw.file, error: err || null, url: req ? req.url : null });
+				});
+				instance.userMiddleware.push(mw);
+			}
+		}
+		app.use(mw);
+	});
+	if (cors) {
+		app.use(require("cors")({
+			origin: true, // reflecting request origin
+			credentials: true // allowing requests with credentials
+		}));
+	}
+	if (headers.length) {
+		app.use(require('./middleware/headers')(headers));
+	}
+	if (mocks !== null) {
+		var mocksLoaded = false;
+		instance.mocks = require('./middleware/mocks')(mocks, function (err, routes) {
+			if (err) console.error('Mock routes not updated:'.red, err.message);
+			else if (logLevel >= 1) console.log('Loaded %d mock route(s) from "%s"', routes.length, mocks);
+			instance.emit('mocks', { error: err, routes: routes });
+			// Pages are told about changes, not about the first load
+			if (mocksLoaded && !err) broadcast(JSON.stringify({ command: 'mocks' }));
+			mocksLoaded = true;
+		});
+		app.use(instance.mocks);
+	}
+	if (instance.includes && options.includes.data && !options.watch)
+		watchPaths.push(options.includes.data);
+	mount.forEach(function (mountRule) {
+		var mountPath = path.resolve(process.cwd(), mountRule[1]);
+		instance.mounts.push([mountRule[0], mountPath]);
+		if (!options.watch) // Auto add mount paths to wathing but only if exclusive path option is not given
+			watchPaths.push(mountPath);
+		app.use(mountRule[0], staticServer(mountPath, instance));
+		if (logLevel >= 1)
+			console.log('Mapping %s to "%s"', mountRule[0], mountPath);
+	});
+	var proxies = proxy.map(function (rule) {
+		var proxyHandler = proxyRule(rule, logLevel);
+		app.use(proxyHandler);
+		if (logLevel >= 1)
+			console.log('Mapping %s to "%s"', proxyHandler.rule.baseUri, proxyHandler.rule.proxyUri);
+		return proxyHandler;
+	});
+	app.use(staticServerHandler); // Custom static server
+	if (spa !== null) {
+		app.use(require('./middleware/spa')(staticServerHandler, spa));
+	}
+	app.use(entryPoint(staticServerHandler, file))
+		.use(serveIndex(root, {
+			icons: true
+		}));
+
+	var server, protocol;
+	if (https !== null) {
+		var httpsConfig = https;
+		if (typeof https === "string") {
+			httpsConfig = require(path.resolve(process.cwd(), https));
+		}
+		server = require("https").createServer(httpsConfig, app);
+		protocol = "https";
+	} else {
+		server = http.createServer(app);
+		protocol = "http";
+	}
+
+	instance.server = server;
+	server.addListener('connection', function (socket) {
+		instance.sockets.add(socket);
+		socket.on('close', function () {
+			instance.sockets.delete(socket);
+		});
+	});
+
+	var onListening, onListenError;
+	instance.listening = new Promise(function (resolve, reject) {
+		onListening = resolve;
+		onListenError = reject;
+	});
+	// Callers that don't wait for the server must not get an unhandled rejection
+	instance.listening.catch(function () { });
+
+	// Handle server startup errors
+	server.addListener('error', function (e) {
+		if (e.code === 'EADDRINUSE' && port < lastPort) {
+			if (logLevel >= 1)
+				console.log('Port %s is already in use. Trying %s.'.yellow, port, port + 1);
+			server.listen(++port, host);
+			return;
+		}
+		console.error(e.toString().red);
+		instance.shutdown();
+		onListenError(e);
+	});
+
+	// Handle successful server
+	server.addListener('listening', function ( /*e*/) {
+		var address = server.address();
+		var serveHost = address.address === "0.0.0.0" ? "127.0.0.1" : address.address;
+		var openHost = host === "0.0.0.0" ? "127.0.0.1" : host;
+
+		var serveURL = protocol + '://' + serveHost + ':' + address.port;
+		var openURL = protocol + '://' + openHost + ':' + address.port;
+
+		var serveURLs = [serveURL];
+		if (logLevel > 2 && address.address === "0.0.0.0") {
+			var ifaces = os.networkInterfaces();
+			serveURLs = Object.keys(ifaces)
+				.map(function (iface) {
+					return ifaces[iface];
+				})
+				// flatten address data, use only IPv4
+				.reduce(function (data, addresses) {
+					addresses.filter(function (addr) {
+						return addr.family === "IPv4";
+					}).forEach(function (addr) {
+						data.push(addr);
+					});
+					return data;
+				}, [])
+				.map(function (addr) {
+					return protocol + "://" + addr.address + ":" + address.port;
+				});
+		}
+
+		// Output
+		if (logLevel >= 1) {
+			if (serveURL === openURL)
+				if (serveURLs.length === 1) {
+					console.log(("Serving \"%s\" at %s").green, root, serveURLs[0]);
+				} else {
+					console.log(("Serving \"%s\" at\n\t%s").green, root, serveURLs.join("\n\t"));
+				}
+			else
+				console.log(("Serving \"%s\" at %s (%s)").green, root, openURL, serveURL);
+		}
+
+		// Launch browser. Without one, e.g. on a CI machine, the server keeps running
+		function launch(target) {
+			open(target, {
+				app: browser
+			}).catch(function (err) {
+				console.warn(("Could not open " + target + " in a browser: " + err.message).yellow);
+			});
+		}
+		if (openPath !== null)
+			if (typeof openPath === "object") {
+				openPath.forEach(function (p) {
+					launch(openURL + p);
+				});
+			} else {
+				launch(openURL + openPath);
+			}
+
+		onListening(instance);
+	});
+
+	// Setup server to listen at port
+	server.listen(port, host);
+
+	// WebSocket
+	server.addListener('upgrade', function (request, socket, head) {
+		if (access && !access.allows(request.socket.remoteAddress)) {
+			return socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+		}
+		// Browsers send the credentials of the page along with the WebSocket handshake
+		if (basic) {
+			return basic.isAuthenticated(request, function (result) {
+				if (!result || result instanceof Error || !result.pass)
+					return socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+				handleUpgrade(request, socket, head);
+			});
+		}
+		handleUpgrade(request, socket, head);
+	});
+
+	function handleUpgrade(request, socket, head) {
+		if (!request.url.endsWith("/ws")) {
+			var proxied = proxies.some(function (proxyHandler) {
+				return proxyHandler.upgrade(request, socket, head);
+			});
+			if (!proxied) {
+				socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+			}
+			return;
+		}
+		var ws = new WebSocket(request, socket, head);
+		ws.clientInfo = {
+			id: instance.nextClientId++,
+			userAgent: request.headers['user-agent'] || '',
+			address: request.socket.remoteAddress,
+			// The client connects to <page path>/ws
+			page: url.parse(request.url).pathname.replace(/\/ws$/, '') || '/',
+			connectedAt: Date.now()
+		};
+		// Messages which must not be delayed or merged by `wait`
+		ws.sendNow = ws.send;
+		ws.onopen = function () {
+			ws.send('connected');
+			if (instance.sync) ws.sendNow(JSON.stringify({ command: 'sync', enabled: true }));
+		};
+		ws.onmessage = function (event) {
+			var data;
+			try {
+				data = JSON.parse(event.data);
+			} catch (e) {
+				return;
+			}
+			// Anything but an object, e.g. `null`, is not a message of the injected script
+			if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+			if (data.command === 'console' && instance.clientOptions.forwardConsole) {
+				instance.emit('console', {
+					level: data.level,
+					args: data.args || [],
+					stack: data.stack || null,
+					url: data.url,
+					client: ws.clientInfo
+				});
+			}
+			else if (data.command === 'hello' || data.command === 'location') {
+				ws.clientInfo.url = String(data.url || '');
+				// Client-side routing changes the page without a new connection
+				if (ws.clientInfo.url) ws.clientInfo.page = url.parse(ws.clientInfo.url).pathname || '/';
+				ws.clientInfo.title = String(data.title || '');
+				var viewport = data.viewport || {};
+				ws.clientInfo.viewport = {
+					width: Number(viewport.width) || 0,
+					height: Number(viewport.height) || 0,
+					pixelRatio: Number(viewport.pixelRatio) || 1
+				};
+				if (data.userAgent) ws.clientInfo.userAgent = String(data.userAgent);
+				instance.emit('client', { type: 'update', client: ws.clientInfo });
+			}
+			else if (data.command === 'sync' && instance.sync) {
+				var relayed = JSON.stringify({ command: 'syncevent', event: data.event });
+				instance.clients.forEach(function (client) {
+					if (client !== ws && client.clientInfo.page === ws.clientInfo.page)
+						client.sendNow(relayed);
+				});
+			}
+		};
+
+		if (wait > 0) {
+			(function () {
+				var wssend = ws.send;
+				var waitTimeout;
+				ws.send = function () {
+					var args = arguments;
+					if (waitTimeout) clearTimeout(waitTimeout);
+					waitTimeout = setTimeout(function () {
+						wssend.apply(ws, args);
+					}, wait);
+				};
+			})();
+		}
+
+		ws.onclose = function () {
+			instance.clients = instance.clients.filter(function (x) {
+				return x !== ws;
+			});
+			instance.emit('client', { type: 'disconnect', client: ws.clientInfo });
+		};
+
+		instance.clients.push(ws);
+		instance.emit('client', { type: 'connect', client: ws.clientInfo });
+	}
+
+	var ignored = [
+		function (testPath) { // Always ignore dotfiles (important e.g. because editor hidden temp files)
+			return testPath !== "." && /(^[.#]|(?:__|~)$)/.test(path.basename(testPath));
+		},
+		"**/node_modules/**"
+	];
+	if (options.ignore) {
+		ignored = ignored.concat(options.ignore);
+	}
+	if (options.ignorePattern) {
+		ignored.push(options.ignorePattern);
+	}
+	// Setup file watcher
+	instance.watcher = chokidar.watch(watchPaths, {
+		ignored: ignored,
+		ignoreInitial: true,
+		disableGlobbing: disableGlobbing
+	});
+
+	/**
+	 * @param clients {array} Optional, by default all clients get the message
+	 */
+	function broadcast(message, clients) {
+		(clients || instance.clients).forEach(function (ws) {
+			if (ws)
+				ws.send(message);
+		});
+	}
+
+	function handleChange(changePath) {
+		var ext = path.extname(changePath).toLocaleLowerCase();
+		var cssChange = ext === ".css";
+		var assetChange = ASSET_EXTENSIONS.indexOf(ext) > -1;
+		var htmlChange = htmlHotUpdate && !fullReload && (ext === ".html" || ext === ".htm");
+		if (logLevel >= 1) {
+			if (cssChange)
+				console.log("CSS change detected".magenta, changePath);
+			else if (assetChange)
+				console.log("Asset change detected".magenta, changePath);
+			else console.log("Change detected".cyan, changePath);
+		}
+		// Only pages which use the file are updated, files never served reload every page
+		var clients = instance.targetedReload ? instance.clientsUsing(changePath) : null;
+		if (clients && logLevel >= 1)
+			console.log("Updating %d of %d page(s)".cyan, clients.length, instance.clients.length);
+		if (assetChange && !fullReload) {
+			return broadcast(JSON.stringify({
+				command: 'refreshasset',
+				paths: instance.urlPathsOf(changePath)
+			}), clients);
+		}
+		if (!htmlChange)
+			return broadcast((cssChange && !fullReload) ? 'refreshcss' : 'reload', clients);
+
+		// The page itself is patched in place, every other page is reloaded
+		var contents;
+		try {
+			contents = instance.pageSource(changePath);
+		} catch (e) {
+			return broadcast('reload', clients);
+		}
+		broadcast(JSON.stringify({
+			command: 'updatehtml',
+			paths: instance.urlPathsOf(changePath),
+			html: contents,
+			previous: instance.rememberPage(changePath, contents)
+		}), clients);
+	}
+
+	instance.notifyChange = handleChange;
+
+	instance.watcher
+		.on("change", handleChange)
+		.on("add", handleChange)
+		.on("unlink", handleChange)
+		.on("addDir", handleChange)
+		.on("unlinkDir", handleChange)
+		.on("ready", function () {
+			if (logLevel >= 1)
+				console.log("Ready for changes".cyan);
+			if (callback) {
+				callback();
+			}
+		})
+		.on("error", function (err) {
+			console.log("ERROR:".red, err);
+		});
+
+	// Registered last, so a setup that threw (e.g. an invalid allow list) leaves no half-built instance behind
+	LiveServer.instances.push(instance);
+	return instance;
+};
+
+/**
+ * Stop every running server.
+ * @returns {Promise} Resolved once every server is closed
+ */
+LiveServer.shutdown = function () {
+	return Promise.all(LiveServer.instances.slice().map(function (instance) {
+		return instance.shutdown();
+	})).then(function () { });
+};
+
+/**
+ * HAR 1.2 document of requests recorded by `instance.getRecording()`, of one or several servers.
+ * @param entries {array} Recorded entries
+ * @param creator {object} Optional { name, version } of the exporting application (default: live-server)
+ */
+LiveServer.toHar = function (entries, creator) {
+	return require('./middleware/recorder').toHar(entries, creator);
+};
+
+module.exports = LiveServer;
\ No newline at end of file
@@ -0,0 +1,83 @@
+'use strict';
+
+var Transform = require('stream').Transform;
+
+var BOMS = [
+	{ bytes: [0xFF, 0xFE], encoding: 'utf16le' },
+	{ bytes: [0xFE, 0xFF], encoding: 'utf16be' }
+];
+
+/**
+ * Encoding of the response body. A byte order mark wins over the charset of the Content-Type header,
+ * as it does in browsers. Everything else is treated as ASCII compatible (UTF-8, ISO-8859-*, windows-125*).
+ */
+function encodingOf(contentType, firstChunk) {
+	for (var i = 0; i < BOMS.length; ++i) {
+		if (firstChunk[0] === BOMS[i].bytes[0] && firstChunk[1] === BOMS[i].bytes[1]) return BOMS[i].encoding;
+	}
+	var charset = /charset=["']?([\w-]+)/i.exec(contentType || '');
+	charset = charset ? charset[1].toLowerCase() : '';
+	if (charset === 'utf-16be') return 'utf16be';
+	if (charset === 'utf-16' || charset === 'utf-16le') return 'utf16le';
+	return 'utf8';
+}
+
+function encode(text, encoding) {
+	if (encoding === 'utf16be') return Buffer.from(text, 'utf16le').swap16();
+	return Buffer.from(text, encoding);
+}
+
+// Only ASCII letters are folded, which is enough to find tags in any of the encodings above
+function lowerAscii(buf) {
+	var lower = Buffer.from(buf);
+	for (var i = 0; i < lower.length; ++i) {
+		if (lower[i] >= 0x41 && lower[i] <= 0x5A) lower[i] += 0x20;
+	}
+	return lower;
+}
+
+/**
+ * Streaming transform that inserts `code` before the first `tag` of the body, e.g. '</body>'.
+ * Only `tag.length - 1` bytes are held back between chunks, so large pages are never buffered.
+ * @param code {string} Code to inject
+ * @param options {object} `tag`: tag to inject before. `contentType`: Content-Type of the response.
+ *                         `appendIfMissing`: append the code at the end if the tag is not found.
+ *                         `onMissed`: called with `appended` (boolean) if the tag is not found.
+ */
+module.exports = function createInjector(code, options) {
+	var encoding = null, tag = null, codeBytes = null;
+	var pending = Buffer.alloc(0);
+	var injected = false;
+
+	return new Transform({
+		transform: function (chunk, _encoding, callback) {
+			if (injected) return callback(null, chunk);
+			if (encoding === null) {
+				encoding = encodingOf(options.contentType, chunk);
+				tag = encode(options.tag.toLowerCase(), encoding);
+				codeBytes = encode(code, encoding);
+			}
+			var buf = Buffer.concat([pending, chunk]);
+			var index = lowerAscii(buf).indexOf(tag);
+			if (index > -1) {
+				injected = true;
+				pending = null;
+				this.push(buf.slice(0, index));
+				this.push(codeBytes);
+				return callback(null, buf.slice(index));
+			}
+			var keep = Math.min(buf.length, tag.length - 1);
+			pending = buf.slice(buf.length - keep);
+			callback(null, buf.slice(0, buf.length - keep));
+		},
+		flush: function (callback) {
+			if (!injected) {
+				if (pending) this.push(pending);
+				var appended = !!(options.appendIfMissing && codeBytes);
+				if (appended) this.push(codeBytes);
+				if (options.onMissed) options.onMissed(appended);
+			}
+			callback();
+		}
+	});
+};
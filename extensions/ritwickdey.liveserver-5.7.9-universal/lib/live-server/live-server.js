@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/*
+	Command line interface. Reads the same workspace configuration as the extension
+	(`.vscode/settings.json` and `.liveserverrc.json`), flags take precedence.
+*/
+
+var os = require('os'),
+	path = require('path'),
+	readSettings = require('./settings'),
+	liveServer = require('./index');
+
+var USAGE = [
+	'Usage: live-server [FOLDER] [options]',
+	'',
+	'Serves FOLDER (default: current directory) with the liveServer.settings.* of its',
+	'.vscode/settings.json and the default profile of its .liveserverrc.json.',
+	'',
+	'Options:',
+	'  --port=NUMBER          port, 0 for a random one',
+	'  --host=ADDRESS         address to bind to (default: 0.0.0.0, or 127.0.0.1 with accessControl.localhostOnly)',
+	'  --root=PATH            folder to serve, relative to FOLDER',
+	'  --mount=ROUTE:PATH     serve PATH at ROUTE, e.g. /components:./node_modules',
+	'  --proxy=ROUTE:URL      proxy requests of ROUTE to URL, e.g. /api:http://127.0.0.1:3000/api',
+	'  --cert=FILE --key=FILE serve https with a certificate and key (--passphrase=TEXT for the key)',
+	'  --ignore=GLOB,...      paths not watched for changes',
+	'  --wait=MS              wait for more changes before reloading',
+	'  --file=PATH            entry file served for missing paths',
+	'  --htpasswd=PATH        HTTP Basic authentication with an htpasswd file',
+	'  --spa[=FILE]           serve FILE (default: index.html) for client-side routes',
+	'  --middleware=PATH      module exporting a connect middleware',
+	'  --profile=NAME         profile of .liveserverrc.json to use (--no-profile for none)',
+	'  --no-browser           don\'t open a browser, the default with --json or when the output is not a terminal',
+	'  --json                 print the listening URLs as JSON, no other output',
+	'  -q, --quiet            only print errors',
+	'  -V, --verbose          log every request',
+	'  -v, --version          print the version',
+	'  -h, --help             print this help',
+	'',
+	'--mount, --proxy and --middleware can be repeated. They replace the list of the setting.'
+].join('\n');
+
+// Certificates of https "auto", the extension keeps its own in the storage of VS Code
+var CERTIFICATES_PATH = path.join(os.homedir(), '.live-server');
+
+var FLAGS = ['--port', '--host', '--root', '--mount', '--proxy', '--cert', '--key', '--passphrase', '--ignore', '--wait',
+	'--file', '--htpasswd', '--middleware', '--profile'];
+// Flags without a value
+var SWITCHES = ['--spa', '--no-browser', '--no-profile', '--json', '-q', '--quiet', '-V', '--verbose', '-v', '--version', '-h', '--help'];
+
+function fail(message, json) {
+	if (json) console.log(JSON.stringify({ error: message }));
+	else console.error(('live-server: ' + message).red);
+	process.exit(1);
+}
+
+/**
+ * @returns {object} The options of the command line. `settings` are the liveServer.settings.* set by flags,
+ * `https`, `htpasswd` and `spa` change parts of a setting.
+ */
+function parseArgs(args) {
+	var parsed = {
+		folder: null, profile: undefined, json: false, logLevel: 2, host: null, settings: {},
+		https: null, htpasswd: null, spa: null, help: false, version: false
+	};
+	var lists = {};
+
+	function list(name, value) {
+		lists[name] = (lists[name] || []).concat([value]);
+		parsed.settings[name] = lists[name];
+	}
+
+	function pair(arg, value) {
+		var index = value.indexOf(':');
+		if (index < 1) throw new Error(arg + ' needs ROUTE:TARGET');
+		return [value.slice(0, index), value.slice(index + 1)];
+	}
+
+	function number(arg, value) {
+		if (!/^\d+$/.test(value)) throw new Error(arg + ' needs a number');
+		return parseInt(value, 10);
+	}
+
+	args.forEach(function (arg) {
+		var index = arg.indexOf('=');
+		var name = index > -1 ? arg.slice(0, index) : arg;
+		var value = index > -1 ? arg.slice(index + 1) : null;
+		if (name.charAt(0) === '-' && FLAGS.indexOf(name) === -1 && SWITCHES.indexOf(name) === -1)
+			throw new Error('Unknown option "' + name + '". See --help.');
+		if (FLAGS.indexOf(name) > -1 && !value)
+			throw new Error(name + ' needs a value, e.g. ' + name + '=...');
+		switch (name) {
+			case '--port': parsed.settings.port = number(name, value); break;
+			case '--host': parsed.host = value; break;
+			case '--root': parsed.settings.root = value; break;
+			case '--mount': list('mount', pair(name, value)); break;
+			case '--proxy':
+				var rule = pair(name, value);
+				list('proxy', { baseUri: rule[0], proxyUri: rule[1] });
+				break;
+			case '--cert':
+			case '--key':
+			case '--passphrase':
+				parsed.https = parsed.https || { enable: true };
+				parsed.https[name.slice(2)] = value;
+				break;
+			case '--ignore': parsed.settings.ignoreFiles = value.split(','); break;
+			case '--wait': parsed.settings.wait = number(name, value); break;
+			case '--file': parsed.settings.file = value; break;
+			case '--htpasswd': parsed.htpasswd = value; break;
+			case '--spa': parsed.spa = value || 'index.html'; break;
+			case '--middleware': list('middleware', value); break;
+			case '--profile': parsed.profile = value; break;
+			case '--no-profile': parsed.profile = null; break;
+			case '--no-browser': parsed.settings.NoBrowser = true; break;
+			case '--json': parsed.json = true; parsed.logLevel = 0; break;
+			case '-q':
+			case '--quiet': parsed.logLevel = 0; break;
+			case '-V':
+			case '--verbose': parsed.logLevel = 3; break;
+			case '-v':
+			case '--version': parsed.version = true; break;
+			case '-h':
+			case '--help': parsed.help = true; break;
+			default:
+				if (parsed.folder !== null) throw new Error('Only one folder can be served, got "' + parsed.folder + '" and "' + arg + '"');
+				parsed.folder = arg;
+		}
+	});
+	return parsed;
+}
+
+/**
+ * Addresses the server can be reached at, like the extension shows them.
+ */
+function listeningUrls(options, settings, address) {
+	var protocol = options.https ? 'https' : 'http';
+	var ips = [];
+	var ifaces = os.networkInterfaces();
+	Object.keys(ifaces).forEach(function (name) {
+		ifaces[name].forEach(function (addr) {
+			if ((addr.family === 'IPv4' || addr.family === 4) && !addr.internal) ips.push(addr.address);
+		});
+	});
+	var bound = address.address === '0.0.0.0' || address.address === '::';
+	var local = bound ? (settings.useLocalIp && ips[0]) || settings.host || '127.0.0.1' : address.address;
+	return {
+		local: protocol + '://' + local + ':' + address.port + '/',
+		network: (bound ? ips : []).map(function (ip) {
+			return protocol + '://' + ip + ':' + address.port + '/';
+		})
+	};
+}
+
+function main() {
+	var args;
+	try {
+		args = parseArgs(process.argv.slice(2));
+	} catch (e) {
+		fail(e.message, process.argv.indexOf('--json') > -1);
+	}
+	if (args.help) return console.log(USAGE);
+	if (args.version) return console.log(require('./package.json').version);
+
+	var folder = path.resolve(args.folder || '.');
+	var options, read;
+	try {
+		read = readSettings(folder, args.profile);
+		var settings = Object.assign(read.settings, args.settings);
+		if (args.https) settings.https = args.https;
+		if (args.htpasswd) settings.accessControl = Object.assign({}, settings.accessControl, { auth: 'htpasswd', htpasswd: args.htpasswd });
+		if (args.spa) settings.spa = Object.assign({}, settings.spa, { enable: true, file: args.spa });
+		if (readSettings.rootPathOf(settings.root, folder).isNotOkay)
+			console.warn('Invalid path in liveServer.settings.root, serving "%s"', folder);
+		options = readSettings.toOptions(settings, folder, {
+			certificate: function (hosts) {
+				// node-forge is only loaded when it is needed
+				return require('./certificates')(CERTIFICATES_PATH, hosts, function (caPath) {
+					if (!args.json) console.log('Created a certificate authority for https "auto". Trust %s to avoid browser warnings.'.yellow, caPath);
+				});
+			}
+		});
+	} catch (e) {
+		fail(e.message, args.json);
+	}
+	if (args.host) options.host = args.host;
+	// Scripts and CI machines, which usually have no browser, get the server only
+	if (args.json || !process.stdout.isTTY) options.open = false;
+	options.logLevel = args.logLevel;
+
+	var instance = liveServer.start(options);
+	instance.listening.then(function () {
+		var urls = listeningUrls(options, read.settings, instance.address());
+		if (args.json) {
+			console.log(JSON.stringify({
+				root: options.root,
+				port: instance.address().port,
+				profile: read.profile,
+				url: urls.local,
+				network: urls.network,
+				auth: options.auth
+			}));
+			return;
+		}
+		if (args.logLevel === 0) return;
+		if (read.profile) console.log('Profile: %s', read.profile);
+		console.log('Local:   %s'.green, urls.local);
+		urls.network.forEach(function (url) {
+			console.log('Network: %s'.green, url);
+		});
+		if (options.auth) console.log('User "%s", password "%s"'.yellow, options.auth.username, options.auth.password);
+		console.log('Press Ctrl+C to stop.');
+	}, function (err) {
+		fail(err.message, args.json);
+	});
+
+	// The first Ctrl+C closes the server and its connections, a second one exits right away
+	var stopping = false;
+	function stop() {
+		if (stopping) process.exit(130);
+		stopping = true;
+		if (args.logLevel >= 1) console.log('\nStopping Live Server...');
+		instance.shutdown().then(function () {
+			process.exit(0);
+		});
+	}
+	process.on('SIGINT', stop);
+	process.on('SIGTERM', stop);
+}
+
+module.exports.parseArgs = parseArgs;
+
+if (require.main === module) main();
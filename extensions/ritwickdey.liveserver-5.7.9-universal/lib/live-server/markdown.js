@@ -0,0 +1,158 @@
+'use strict';
+
+var fs = require('fs'),
+	path = require('path'),
+	Transform = require('stream').Transform,
+	MarkdownIt = require('markdown-it'),
+	hljs = require('highlight.js');
+
+var DEFAULT_EXTENSIONS = ['.md', '.markdown'];
+
+var DEFAULT_TEMPLATE = [
+	'<!DOCTYPE html>',
+	'<html>',
+	'<head>',
+	'<meta charset="utf-8">',
+	'<meta name="viewport" content="width=device-width, initial-scale=1">',
+	'<title>{{title}}</title>',
+	'{{style}}',
+	'</head>',
+	'<body>',
+	'<article class="markdown-body">',
+	'{{content}}',
+	'</article>',
+	'</body>',
+	'</html>'
+].join('\n');
+
+var defaultStyle = null;
+
+// GitHub-like page and code colors, read once
+function getDefaultStyle() {
+	if (defaultStyle === null) {
+		defaultStyle = fs.readFileSync(path.join(__dirname, 'markdown.css'), 'utf8') + '\n' +
+			fs.readFileSync(require.resolve('highlight.js/styles/github.css'), 'utf8');
+	}
+	return defaultStyle;
+}
+
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, function (c) {
+		return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+	});
+}
+
+function slugify(text) {
+	return text.trim().toLowerCase()
+		.replace(/[^\p{L}\p{N}\s_-]/gu, '')
+		.replace(/\s/g, '-');
+}
+
+/**
+ * Gives every heading an `id` (as GitHub does, duplicates get `-1`, `-2`, ...) and a `#` link to itself.
+ */
+function headingAnchors(md) {
+	md.core.ruler.push('heading_anchors', function (state) {
+		var used = {};
+		state.tokens.forEach(function (token, i) {
+			if (token.type !== 'heading_open') return;
+			var inline = state.tokens[i + 1];
+			var text = inline.children.filter(function (child) {
+				return child.type === 'text' || child.type === 'code_inline';
+			}).map(function (child) {
+				return child.content;
+			}).join('');
+			var slug = slugify(text) || 'section';
+			var id = used[slug] === undefined ? slug : slug + '-' + (used[slug] + 1);
+			used[slug] = used[slug] === undefined ? 0 : used[slug] + 1;
+			token.attrSet('id', id);
+			var anchor = new state.Token('html_inline', '', 0);
+			anchor.content = '<a class="anchor" href="#' + escapeHtml(id) + '" aria-hidden="true">#</a>';
+			inline.children.unshift(anchor);
+		});
+	});
+}
+
+/**
+ * Renders requests for Markdown files as HTML pages, with heading anchors and highlighted code blocks.
+ * Relative links and images keep working as the page is served from the URL of the Markdown file.
+ * @param options {object} Optional { extensions, template, stylesheet }
+ *   extensions: file extensions to render (default: .md, .markdown)
+ *   template: path of an HTML file with {{title}}, {{style}} and {{content}} placeholders, read on every request
+ *   stylesheet: URL of a stylesheet used instead of the built-in style
+ */
+module.exports = function (options) {
+	options = options || {};
+	var extensions = (options.extensions || DEFAULT_EXTENSIONS).map(function (ext) {
+		ext = ext.toLowerCase();
+		return ext.charAt(0) !== '.' ? '.' + ext : ext;
+	});
+	var md = new MarkdownIt({
+		html: true,
+		linkify: true,
+		highlight: function (code, lang) {
+			if (!lang || !hljs.getLanguage(lang)) return ''; // escaped by markdown-it
+			return '<pre><code class="hljs language-' + escapeHtml(lang) + '">' +
+				hljs.highlight(code, { language: lang, ignoreIllegals: true }).value +
+				'</code></pre>';
+		}
+	}).use(headingAnchors);
+
+	function readTemplate() {
+		if (!options.template) return DEFAULT_TEMPLATE;
+		try {
+			return fs.readFileSync(options.template, 'utf8');
+		} catch (e) {
+			console.error('Markdown template "%s" could not be read:'.red, options.template, e.message);
+			return DEFAULT_TEMPLATE;
+		}
+	}
+
+	function render(source, filepath) {
+		var tokens = md.parse(source.replace(/^\uFEFF/, ''), {});
+		var heading = tokens.find(function (token, i) {
+			return token.type === 'inline' && i > 0 && tokens[i - 1].type === 'heading_open' && tokens[i - 1].tag === 'h1';
+		});
+		var title = heading ? heading.children.filter(function (child) {
+			return child.type === 'text' || child.type === 'code_inline';
+		}).map(function (child) {
+			return child.content;
+		}).join('') : path.basename(filepath);
+		var style = options.stylesheet ?
+			'<link rel="stylesheet" href="' + escapeHtml(options.stylesheet) + '">' :
+			'<style>\n' + getDefaultStyle() + '\n</style>';
+		var values = {
+			title: escapeHtml(title),
+			style: style,
+			content: md.renderer.render(tokens, md.options, {})
+		};
+		return readTemplate().replace(/\{\{\s*(title|style|content)\s*\}\}/g, function (match, name) {
+			return values[name];
+		});
+	}
+
+	return {
+		/**
+		 * @param pathname {string} Path of the request URL or of a file
+		 */
+		handles: function (pathname) {
+			return extensions.indexOf(path.extname(pathname).toLowerCase()) > -1;
+		},
+		/**
+		 * Stream which takes the Markdown file and outputs the UTF-8 encoded page.
+		 * @param filepath {string} Path of the Markdown file, the page title falls back to its name
+		 */
+		transform: function (filepath) {
+			var chunks = [];
+			return new Transform({
+				transform: function (chunk, encoding, callback) {
+					chunks.push(chunk);
+					callback();
+				},
+				flush: function (callback) {
+					callback(null, Buffer.from(render(Buffer.concat(chunks).toString('utf8'), filepath), 'utf8'));
+				}
+			});
+		}
+	};
+};
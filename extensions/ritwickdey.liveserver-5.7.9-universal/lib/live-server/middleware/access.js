@@ -0,0 +1,78 @@
+'use strict';
+
+var net = require('net');
+
+/**
+ * Address as 16 bytes, IPv4 addresses are IPv4-mapped (::ffff:a.b.c.d) so both families compare alike.
+ */
+function toBytes(address) {
+	address = String(address).replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+	if (net.isIPv4(address)) address = '::ffff:' + address;
+	if (!net.isIPv6(address)) return null;
+	var ipv4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+	if (ipv4) {
+		var parts = ipv4[1].split('.').map(Number);
+		address = address.slice(0, -ipv4[1].length) + ((parts[0] << 8) | parts[1]).toString(16) + ':' + ((parts[2] << 8) | parts[3]).toString(16);
+	}
+	var halves = address.split('::');
+	var head = halves[0] ? halves[0].split(':') : [];
+	var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+	var groups = head.concat(new Array(8 - head.length - tail.length + 1).join('0').split(''), tail);
+	var bytes = [];
+	groups.forEach(function (group) {
+		var value = parseInt(group || '0', 16);
+		bytes.push(value >> 8, value & 0xFF);
+	});
+	return bytes;
+}
+
+/**
+ * @param entry {string} IP address or CIDR range, e.g. '192.168.1.20', '192.168.1.0/24' or 'fd00::/8'
+ */
+function parseRange(entry) {
+	var parts = String(entry).trim().split('/');
+	var bytes = toBytes(parts[0]);
+	if (!bytes) throw new Error('Invalid IP address or CIDR range: ' + entry);
+	var prefix = parts.length > 1 ? parseInt(parts[1], 10) : 128;
+	if (parts.length > 1 && net.isIPv4(parts[0])) prefix += 96;
+	if (isNaN(prefix) || prefix < 0 || prefix > 128) throw new Error('Invalid CIDR prefix: ' + entry);
+	return { bytes: bytes, prefix: prefix };
+}
+
+function inRange(bytes, range) {
+	for (var bit = 0; bit < range.prefix; bit += 8) {
+		var bits = Math.min(8, range.prefix - bit);
+		var mask = (0xFF << (8 - bits)) & 0xFF;
+		if ((bytes[bit / 8] & mask) !== (range.bytes[bit / 8] & mask)) return false;
+	}
+	return true;
+}
+
+var LOOPBACK = [parseRange('127.0.0.0/8'), parseRange('::1')];
+
+/**
+ * Reject requests from addresses outside of an allowlist. The local machine is always allowed.
+ * The returned middleware has `allows(address)`, to check WebSocket upgrades as well.
+ * @param allow {array} IP addresses and CIDR ranges
+ */
+module.exports = function (allow) {
+	var ranges = LOOPBACK.concat(allow.map(parseRange));
+
+	function allows(address) {
+		var bytes = toBytes(address || '');
+		return !!bytes && ranges.some(function (range) {
+			return inRange(bytes, range);
+		});
+	}
+
+	function middleware(req, res, next) {
+		if (allows(req.socket.remoteAddress)) return next();
+		res.statusCode = 403;
+		res.setHeader('Content-Type', 'text/plain');
+		res.end('403 Forbidden: ' + req.socket.remoteAddress + ' is not allowed to access this server');
+	}
+
+	middleware.allows = allows;
+
+	return middleware;
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+var url = require('url'),
+	picomatch = require('picomatch');
+
+/**
+ * A plain path matches itself and everything below it, anything else is a glob, e.g. 'docs/**'.
+ * Globs without a slash match the file name in any directory, e.g. '*.html'.
+ * @param pattern {string} Path or glob, relative to the server root
+ */
+function matcher(pattern) {
+	pattern = String(pattern).replace(/^\/+/, '');
+	if (picomatch.scan(pattern).isGlob) {
+		return picomatch(pattern, { dot: true, basename: pattern.indexOf('/') === -1 });
+	}
+	pattern = pattern.replace(/\/+$/, '');
+	return function (reqPath) {
+		return !pattern || reqPath === pattern || reqPath.indexOf(pattern + '/') === 0;
+	};
+}
+
+/**
+ * Set response headers by path. All matching rules apply, later rules win.
+ * Headers are set before the response is handled, so the static server keeps e.g. a configured Cache-Control.
+ * @param rules {array} { path, headers } objects, e.g. [{ path: '/**', headers: { 'Cross-Origin-Opener-Policy': 'same-origin' } }]
+ */
+module.exports = function (rules) {
+	rules = rules.map(function (rule) {
+		return { matches: matcher(rule.path || '/'), headers: rule.headers || {} };
+	});
+
+	return function (req, res, next) {
+		var reqPath;
+		try {
+			reqPath = decodeURIComponent(url.parse(req.url).pathname).replace(/^\/+/, '');
+		} catch (e) {
+			return next();
+		}
+		// Directories are usually answered with their index.html
+		var paths = !reqPath || reqPath.slice(-1) === '/' ? [reqPath, reqPath + 'index.html'] : [reqPath];
+		rules.forEach(function (rule) {
+			if (!paths.some(function (candidate) { return rule.matches(candidate); })) return;
+			Object.keys(rule.headers).forEach(function (name) {
+				var value = rule.headers[name];
+				if (value === null || value === false) res.removeHeader(name);
+				else res.setHeader(name, String(value));
+			});
+		});
+		next();
+	};
+};
+
+module.exports.matcher = matcher;
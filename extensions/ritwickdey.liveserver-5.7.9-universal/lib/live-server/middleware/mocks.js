@@ -0,0 +1,181 @@
+'use strict';
+
+var fs = require('fs'),
+	path = require('path'),
+	url = require('url'),
+	send = require('send'),
+	chokidar = require('chokidar');
+
+function escapeRegExp(text) {
+	return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * '/api/users/:id' captures `id` from one segment, '*' matches anything.
+ */
+function compilePath(pattern) {
+	var names = [];
+	var source = String(pattern || '/').split(/(:\w+|\*)/).map(function (part) {
+		if (part === '*') return '(.*)';
+		if (part.charAt(0) === ':') {
+			names.push(part.slice(1));
+			return '([^/]+)';
+		}
+		return escapeRegExp(part);
+	}).join('');
+	var regExp = new RegExp('^' + source.replace(/\/$/, '') + '/?$');
+	return function (reqPath) {
+		var match = regExp.exec(reqPath);
+		if (!match) return null;
+		var params = {};
+		names.forEach(function (name, i) {
+			params[name] = decodeURIComponent(match[i + 1]);
+		});
+		return params;
+	};
+}
+
+/**
+ * Replace `{{params.id}}`, `{{query.page}}`, `{{method}}` and `{{path}}` in all strings of a body.
+ */
+function render(template, context) {
+	if (typeof template === 'string') {
+		return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, function (match, name) {
+			var value = name.split('.').reduce(function (obj, key) {
+				return obj !== undefined && obj !== null ? obj[key] : undefined;
+			}, context);
+			return value === undefined || value === null ? '' : String(value);
+		});
+	}
+	if (Array.isArray(template)) {
+		return template.map(function (item) {
+			return render(item, context);
+		});
+	}
+	if (template && typeof template === 'object') {
+		var result = {};
+		Object.keys(template).forEach(function (key) {
+			result[key] = render(template[key], context);
+		});
+		return result;
+	}
+	return template;
+}
+
+function parseRoutes(contents) {
+	var config = JSON.parse(contents);
+	var routes = Array.isArray(config) ? config : config.routes;
+	if (!Array.isArray(routes)) throw new Error('Expected an array of routes or { "routes": [...] }');
+	return routes.map(function (route, i) {
+		if (!route || typeof route.path !== 'string') throw new Error('Route ' + i + ' has no "path"');
+		return {
+			method: (route.method || '*').toUpperCase(),
+			path: route.path,
+			matches: compilePath(route.path),
+			status: route.status || 200,
+			headers: route.headers || {},
+			delay: route.delay || 0,
+			body: route.body,
+			file: route.file
+		};
+	});
+}
+
+/**
+ * Serve mock API routes from a JSON file, e.g.
+ * { "routes": [{ "method": "GET", "path": "/api/users/:id", "status": 200, "headers": {}, "delay": 300,
+ *   "body": { "id": "{{params.id}}" } }] }. `file` sends a file (relative to the mocks file) instead of `body`.
+ * The file is watched, a broken file keeps the last working routes.
+ * @param file {string} Path of the mocks file, it doesn't need to exist yet
+ * @param onReload {function} Called with (error, routes) whenever the file was read
+ */
+module.exports = function (file, onReload) {
+	var routes = [];
+	var baseDir = path.resolve(path.dirname(file));
+
+	function loaded(err) {
+		middleware.error = err;
+		onReload(err, routes);
+	}
+
+	function load() {
+		fs.readFile(file, 'utf8', function (err, contents) {
+			if (err) {
+				if (err.code !== 'ENOENT') return loaded(err);
+				routes = [];
+				return loaded(null);
+			}
+			try {
+				routes = parseRoutes(contents);
+			} catch (e) {
+				e.message = file + ': ' + e.message;
+				return loaded(e);
+			}
+			loaded(null);
+		});
+	}
+
+	var watcher = chokidar.watch(file, { ignoreInitial: true });
+	watcher.on('add', load).on('change', load).on('unlink', load);
+	load();
+
+	function respond(route, context, res, next) {
+		res.statusCode = route.status;
+		Object.keys(route.headers).forEach(function (name) {
+			res.setHeader(name, render(String(route.headers[name]), context));
+		});
+		if (route.file) {
+			var filePath = path.resolve(baseDir, render(route.file, context));
+			// Parameters are decoded, so e.g. '..%2F' in the URL must not lead out of the folder
+			var relative = path.relative(baseDir, filePath);
+			if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+				res.statusCode = 403;
+				res.removeHeader('Content-Type');
+				return res.end('Forbidden');
+			}
+			return fs.readFile(filePath, function (err, contents) {
+				if (err && err.code === 'ENOENT') {
+					res.statusCode = 404;
+					res.removeHeader('Content-Type');
+					return res.end('Not Found');
+				}
+				if (err) return next(err);
+				if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', send.mime.lookup(filePath));
+				var type = String(res.getHeader('Content-Type'));
+				res.end(/json|text|xml|javascript/.test(type) ? render(contents.toString('utf8'), context) : contents);
+			});
+		}
+		if (route.body === undefined) return res.end();
+		if (typeof route.body === 'string') {
+			if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/plain; charset=UTF-8');
+			return res.end(render(route.body, context));
+		}
+		if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=UTF-8');
+		res.end(JSON.stringify(render(route.body, context), null, 2));
+	}
+
+	function middleware(req, res, next) {
+		var parsed = url.parse(req.url, true);
+		for (var i = 0; i < routes.length; ++i) {
+			var route = routes[i];
+			if (route.method !== '*' && route.method !== req.method) continue;
+			var params = route.matches(parsed.pathname);
+			if (!params) continue;
+			var context = { params: params, query: parsed.query, method: req.method, path: parsed.pathname };
+			if (!route.delay) return respond(route, context, res, next);
+			return setTimeout(respond, route.delay, route, context, res, next);
+		}
+		next();
+	}
+
+	/** Error of the last read, null if the routes are up to date */
+	middleware.error = null;
+
+	middleware.close = function () {
+		return watcher.close();
+	};
+
+	return middleware;
+};
+
+module.exports.compilePath = compilePath;
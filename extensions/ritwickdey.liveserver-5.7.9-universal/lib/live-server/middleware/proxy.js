@@ -0,0 +1,86 @@
+'use strict';
+
+var url = require('url'),
+	httpProxy = require('http-proxy'),
+	proxyMiddleware = require('proxy-middleware');
+
+/**
+ * Proxy rules are either [baseUri, proxyUri] pairs or objects, the pair is kept for backwards compatibility.
+ * @param rule {(array|object)} { baseUri, proxyUri, pathRewrite, headers, wsUri }
+ */
+function normalize(rule) {
+	if (Array.isArray(rule)) {
+		rule = { baseUri: rule[0], proxyUri: rule[1] };
+	}
+	return {
+		baseUri: '/' + (rule.baseUri || '/').replace(/^\/+/, '').replace(/\/+$/, ''),
+		proxyUri: rule.proxyUri,
+		pathRewrite: Object.keys(rule.pathRewrite || {}).map(function (pattern) {
+			return [new RegExp(pattern), rule.pathRewrite[pattern]];
+		}),
+		headers: rule.headers || {},
+		wsUri: rule.wsUri || rule.proxyUri
+	};
+}
+
+/**
+ * Forward requests below `baseUri` to `proxyUri`. `baseUri` is stripped and `pathRewrite` is applied
+ * to the remaining path. The returned middleware also proxies WebSocket upgrades through `upgrade()`.
+ * @param rule {(array|object)} See `normalize`
+ * @param logLevel {number} 0 = errors only, 1 = some, 2 = lots
+ */
+module.exports = function (rule, logLevel) {
+	rule = normalize(rule);
+
+	function subPath(reqUrl) {
+		if (rule.baseUri === '/') return reqUrl;
+		if (reqUrl === rule.baseUri || reqUrl.indexOf(rule.baseUri + '/') === 0 || reqUrl.indexOf(rule.baseUri + '?') === 0)
+			return reqUrl.slice(rule.baseUri.length) || '/';
+		return null;
+	}
+
+	function rewrite(reqPath) {
+		return rule.pathRewrite.reduce(function (result, rewriteRule) {
+			return result.replace(rewriteRule[0], rewriteRule[1]);
+		}, reqPath);
+	}
+
+	var proxyOpts = url.parse(rule.proxyUri);
+	proxyOpts.via = true;
+	proxyOpts.preserveHost = true;
+	proxyOpts.headers = rule.headers;
+	var forward = proxyMiddleware(proxyOpts);
+
+	var wsProxy = httpProxy.createProxyServer({
+		target: rule.wsUri,
+		headers: rule.headers,
+		secure: false
+	});
+	wsProxy.on('error', function (err, req, socket) {
+		if (logLevel >= 1)
+			console.error('WebSocket proxy error for %s: %s'.red, req.url, err.message);
+		socket.destroy();
+	});
+
+	function middleware(req, res, next) {
+		var reqPath = subPath(req.url);
+		if (reqPath === null) return next();
+		req.url = rewrite(reqPath);
+		forward(req, res, next);
+	}
+
+	middleware.rule = rule;
+
+	/**
+	 * @returns {boolean} false if the upgrade request does not belong to this rule
+	 */
+	middleware.upgrade = function (req, socket, head) {
+		var reqPath = subPath(req.url);
+		if (reqPath === null) return false;
+		req.url = rewrite(reqPath);
+		wsProxy.ws(req, socket, head);
+		return true;
+	};
+
+	return middleware;
+};
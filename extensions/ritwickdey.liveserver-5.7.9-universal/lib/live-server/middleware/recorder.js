@@ -0,0 +1,232 @@
+'use strict';
+
+var url = require('url'),
+	http = require('http');
+
+var DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+// Bodies of these types are recorded as text, others as base64
+var TEXT_TYPE = /^text\/|[/+](json|javascript|ecmascript|xml)\b|^application\/x-www-form-urlencoded|^image\/svg\+xml/i;
+
+function toNameValue(headers) {
+	var list = [];
+	Object.keys(headers).forEach(function (name) {
+		[].concat(headers[name]).forEach(function (value) {
+			list.push({ name: name, value: String(value) });
+		});
+	});
+	return list;
+}
+
+function milliseconds(since) {
+	var diff = process.hrtime(since);
+	return Math.round((diff[0] * 1e3 + diff[1] / 1e6) * 1000) / 1000;
+}
+
+/**
+ * Keeps the chunks of a body until it grows over `limit` bytes. The size is counted either way.
+ */
+function collector(limit) {
+	var chunks = [];
+	return {
+		size: 0,
+		truncated: false,
+		add: function (chunk, encoding) {
+			if (chunk === null || chunk === undefined || typeof chunk === 'function') return;
+			var buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+			this.size += buffer.length;
+			if (this.truncated) return;
+			if (this.size > limit) {
+				this.truncated = true;
+				chunks = [];
+				return;
+			}
+			chunks.push(buffer);
+		},
+		/**
+		 * @returns {object} { text, encoding } of a HAR content or postData, text is undefined for truncated bodies
+		 */
+		content: function (mimeType, contentEncoding) {
+			if (this.truncated) return { comment: 'Body of ' + this.size + ' bytes is larger than the limit of ' + limit + ' bytes.' };
+			var body = Buffer.concat(chunks);
+			if (!contentEncoding && TEXT_TYPE.test(mimeType || '')) return { text: body.toString('utf8') };
+			return { text: body.toString('base64'), encoding: 'base64' };
+		}
+	};
+}
+
+/**
+ * Records requests and responses as HAR entries while recording is on, and reports every finished request.
+ * Responses are recorded as sent, e.g. with the reload script injected. WebSockets are not recorded.
+ * @param options {object} { maxBodySize, onRequest }
+ *   maxBodySize: bodies up to this many bytes are recorded (default: 1 MB), larger ones only by size
+ *   onRequest: called with { method, url, status, time, size, address } for every finished request, recorded or not
+ */
+module.exports = function (options) {
+	options = options || {};
+	var maxBodySize = options.maxBodySize === undefined ? DEFAULT_MAX_BODY_SIZE : options.maxBodySize;
+	var entries = [];
+	var recording = false;
+
+	function recorder(req, res, next) {
+		var started = process.hrtime();
+		var startedDateTime = new Date();
+		// Mounts and the entry file rewrite req.url later on
+		var requestUrl = req.url;
+		var capture = recording;
+		var requestBody = collector(maxBodySize);
+		var responseBody = collector(capture ? maxBodySize : -1);
+		var wait = null;
+		var writtenHeaders = {};
+		var done = false;
+
+		if (capture) {
+			// Watching the emitted chunks leaves reading the body to the handler, e.g. the proxy
+			var emit = req.emit;
+			req.emit = function (event, chunk) {
+				if (event === 'data') requestBody.add(chunk);
+				return emit.apply(this, arguments);
+			};
+		}
+
+		function firstByte() {
+			if (wait === null) wait = milliseconds(started);
+		}
+		var writeHead = res.writeHead, write = res.write, end = res.end;
+		res.writeHead = function (statusCode, reason, headers) {
+			firstByte();
+			headers = typeof reason === 'object' ? reason : headers;
+			if (headers && !Array.isArray(headers)) Object.assign(writtenHeaders, headers);
+			return writeHead.apply(this, arguments);
+		};
+		res.write = function (chunk, encoding) {
+			firstByte();
+			responseBody.add(chunk, encoding);
+			return write.apply(this, arguments);
+		};
+		res.end = function (chunk, encoding) {
+			firstByte();
+			responseBody.add(chunk, encoding);
+			return end.apply(this, arguments);
+		};
+
+		function finish() {
+			if (done) return;
+			done = true;
+			var time = milliseconds(started);
+			var completed = res.writableFinished !== false && res.finished;
+			if (options.onRequest) {
+				options.onRequest({
+					method: req.method,
+					url: requestUrl,
+					status: completed ? res.statusCode : 0,
+					time: Math.round(time),
+					size: responseBody.size,
+					address: req.socket.remoteAddress
+				});
+			}
+			if (!capture || !recording) return;
+			entries.push(toEntry(time, completed));
+		}
+
+		function toEntry(time, completed) {
+			var headers = Object.assign({}, res.getHeaders(), writtenHeaders);
+			var mimeType = String(res.getHeader('Content-Type') || writtenHeaders['Content-Type'] || writtenHeaders['content-type'] || '');
+			var contentEncoding = res.getHeader('Content-Encoding');
+			var query = url.parse(requestUrl, true).query;
+			var location = res.getHeader('Location');
+			var httpVersion = 'HTTP/' + req.httpVersion;
+			var entry = {
+				startedDateTime: startedDateTime.toISOString(),
+				time: time,
+				request: {
+					method: req.method,
+					url: (req.socket.encrypted ? 'https' : 'http') + '://' + (req.headers.host || 'localhost') + requestUrl,
+					httpVersion: httpVersion,
+					cookies: [],
+					headers: toNameValue(req.headers),
+					queryString: toNameValue(query),
+					headersSize: -1,
+					bodySize: requestBody.size
+				},
+				response: {
+					status: completed ? res.statusCode : 0,
+					statusText: completed ? res.statusMessage || http.STATUS_CODES[res.statusCode] || '' : '',
+					httpVersion: httpVersion,
+					cookies: [],
+					headers: toNameValue(headers),
+					content: Object.assign({ size: responseBody.size, mimeType: mimeType || 'x-unknown' },
+						responseBody.content(mimeType, contentEncoding)),
+					redirectURL: location ? String(location) : '',
+					headersSize: -1,
+					bodySize: responseBody.size
+				},
+				cache: {},
+				timings: {
+					blocked: -1,
+					dns: -1,
+					connect: -1,
+					send: 0,
+					wait: wait === null ? time : wait,
+					receive: wait === null ? 0 : Math.max(0, Math.round((time - wait) * 1000) / 1000),
+					ssl: -1
+				},
+				serverIPAddress: req.socket.localAddress,
+				connection: String(req.socket.remotePort)
+			};
+			if (requestBody.size) {
+				entry.request.postData = Object.assign({ mimeType: String(req.headers['content-type'] || '') },
+					requestBody.content(req.headers['content-type']));
+				// postData has no encoding field, binary bodies are kept as base64 text with a comment
+				if (entry.request.postData.encoding) {
+					delete entry.request.postData.encoding;
+					entry.request.postData.comment = 'Base64 encoded';
+				}
+			}
+			if (!completed) entry.comment = 'The connection was closed before the response was complete.';
+			return entry;
+		}
+
+		res.on('finish', finish);
+		res.on('close', finish);
+		next();
+	}
+
+	/**
+	 * Start recording. Entries of an earlier recording are dropped.
+	 */
+	recorder.start = function () {
+		entries = [];
+		recording = true;
+	};
+	recorder.stop = function () {
+		recording = false;
+	};
+	recorder.isRecording = function () {
+		return recording;
+	};
+	/**
+	 * @returns {array} HAR entries recorded so far
+	 */
+	recorder.entries = function () {
+		return entries.slice();
+	};
+
+	return recorder;
+};
+
+/**
+ * HAR 1.2 document of recorded entries, e.g. of several servers.
+ * @param entries {array} HAR entries, sorted by their start here
+ * @param creator {object} Optional { name, version } of the application which exports the file
+ */
+module.exports.toHar = function (entries, creator) {
+	return {
+		log: {
+			version: '1.2',
+			creator: creator || { name: 'live-server', version: require('../package.json').version },
+			entries: entries.slice().sort(function (a, b) {
+				return a.startedDateTime < b.startedDateTime ? -1 : a.startedDateTime > b.startedDateTime ? 1 : 0;
+			})
+		}
+	};
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+var path = require('path'),
+	chokidar = require('chokidar');
+
+/**
+ * The module and the local modules it requires, dependencies from node_modules are kept in the cache.
+ */
+function localModules(file) {
+	var found = [];
+	(function collect(mod) {
+		if (!mod || found.indexOf(mod.filename) > -1 || mod.filename.split(path.sep).indexOf('node_modules') > -1) return;
+		found.push(mod.filename);
+		mod.children.forEach(collect);
+	})(require.cache[file]);
+	return found;
+}
+
+/**
+ * Middleware from a module file, e.g. `module.exports = function (req, res, next) { next(); }`.
+ * The module is loaded on the first request and loaded again whenever it or a local module it requires changes.
+ * Errors while loading or handling a request are reported instead of stopping the server,
+ * a module that failed to load is skipped until it changes.
+ * @param file {string} Absolute path of the module
+ * @param onLoad {function} Called with (error) after every (re)load, and with (error, req) for errors of requests
+ */
+module.exports = function (file, onLoad) {
+	var handler = null;
+	var loadError = null;
+	var modules = [];
+	var watcher = chokidar.watch([], { ignoreInitial: true });
+
+	function load() {
+		modules.forEach(function (filename) {
+			delete require.cache[filename];
+		});
+		handler = null;
+		try {
+			var exported = require(file);
+			if (exported && typeof exported.default === 'function') exported = exported.default;
+			if (typeof exported !== 'function') throw new Error(file + ' does not export a middleware function');
+			handler = exported;
+			loadError = null;
+		} catch (e) {
+			loadError = e;
+		}
+		var loaded = localModules(file);
+		watcher.unwatch(modules.filter(function (filename) {
+			return loaded.indexOf(filename) === -1;
+		}));
+		// A module that failed to load is not in the cache, watching the file is enough to retry
+		modules = loaded.length ? loaded : [file];
+		watcher.add(modules);
+		onLoad(loadError);
+	}
+
+	watcher.on('change', load).on('add', load);
+
+	function middleware(req, res, next) {
+		if (!handler && !loadError) load();
+		if (!handler) return next();
+		try {
+			handler(req, res, function (err) {
+				if (err) onLoad(err, req);
+				next(err);
+			});
+		} catch (e) {
+			onLoad(e, req);
+			next(e);
+		}
+	}
+
+	middleware.file = file;
+
+	middleware.close = function () {
+		return watcher.close();
+	};
+
+	return middleware;
+};
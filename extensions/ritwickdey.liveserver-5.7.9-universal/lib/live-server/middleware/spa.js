@@ -0,0 +1,41 @@
+'use strict';
+
+var path = require('path'),
+	url = require('url');
+
+/**
+ * Single Page Apps - serve the entry file for every client-side route.
+ * The request is rewritten and handed to the static handler, so the reload script is still injected.
+ * @param staticHandler {function} Static handler that serves (and injects into) the entry file
+ * @param options {object} `file`: entry file, server root relative (default: index.html).
+ *                         `exclude`: path prefixes that never fall back, e.g. ['/api']
+ */
+module.exports = function (staticHandler, options) {
+	options = options || {};
+	var file = (options.file || 'index.html').replace(/^[\\/]+/, '');
+	var exclude = (options.exclude || []).map(function (prefix) {
+		return '/' + prefix.replace(/^\/+/, '').replace(/\/+$/, '');
+	});
+
+	function isExcluded(pathname) {
+		return exclude.some(function (prefix) {
+			return prefix === '/' || pathname === prefix || pathname.indexOf(prefix + '/') === 0;
+		});
+	}
+
+	// Browsers navigating to a route ask for text/html. Anything else only falls back
+	// when the path has no extension, so a missing /img/logo.png stays a real 404.
+	function isRoute(req, pathname) {
+		var accept = req.headers.accept || '*/*';
+		if (accept.indexOf('text/html') > -1) return true;
+		return !path.extname(pathname) && accept.indexOf('*/*') > -1;
+	}
+
+	return function (req, res, next) {
+		if (req.method !== "GET" && req.method !== "HEAD") return next();
+		var pathname = url.parse(req.url).pathname;
+		if (isExcluded(pathname) || !isRoute(req, pathname)) return next();
+		req.url = '/' + file;
+		staticHandler(req, res, next);
+	};
+};
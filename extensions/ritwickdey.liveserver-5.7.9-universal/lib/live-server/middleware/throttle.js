@@ -0,0 +1,140 @@
+'use strict';
+
+var url = require('url'),
+	http = require('http'),
+	matcher = require('./headers').matcher;
+
+/**
+ * Built-in network profiles.
+ * latency: ms added before a request is handled
+ * downloadKbps: cap of the response body in kbit/s, per response
+ * failureRate: share of requests (0 - 1) whose connection is dropped
+ * failures: { path, rate, status } rules, matching requests are answered with `status` (or dropped without it)
+ */
+var PROFILES = {
+	'4g': { latency: 60, downloadKbps: 9000 },
+	'3g': { latency: 300, downloadKbps: 1600 },
+	'slow-3g': { latency: 2000, downloadKbps: 400 },
+	'offline': { failureRate: 1 },
+	'offline-flaky': { latency: 300, downloadKbps: 1600, failureRate: 0.3 }
+};
+
+/**
+ * Sends the body in slices of 100 ms worth of bytes. `write` returns false until the slice is out,
+ * so piped streams wait for `drain` instead of buffering the whole file.
+ */
+function limitRate(res, bytesPerSecond) {
+	var write = res.write, end = res.end;
+	var slice = Math.max(1, Math.round(bytesPerSecond / 10));
+	var queue = [];
+	var timer = null;
+	var ending = null;
+
+	function pump() {
+		timer = null;
+		if (!queue.length) {
+			if (ending) return end.call(res, ending.callback);
+			return res.emit('drain');
+		}
+		var entry = queue[0];
+		var part = entry.data.slice(0, slice);
+		entry.data = entry.data.slice(part.length);
+		if (!entry.data.length) queue.shift();
+		write.call(res, part, entry.data.length ? undefined : entry.callback);
+		timer = setTimeout(pump, part.length / bytesPerSecond * 1000);
+	}
+
+	function enqueue(chunk, encoding, callback) {
+		if (chunk === null || chunk === undefined || !chunk.length) {
+			if (callback) process.nextTick(callback);
+			return;
+		}
+		queue.push({
+			data: Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding || 'utf8'),
+			callback: callback
+		});
+		if (!timer) pump();
+	}
+
+	res.write = function (chunk, encoding, callback) {
+		if (typeof encoding === 'function') callback = encoding, encoding = null;
+		enqueue(chunk, encoding, callback);
+		return false;
+	};
+	res.end = function (chunk, encoding, callback) {
+		if (typeof chunk === 'function') callback = chunk, chunk = null;
+		if (typeof encoding === 'function') callback = encoding, encoding = null;
+		if (ending) return res;
+		ending = { callback: callback };
+		enqueue(chunk, encoding);
+		if (!timer) pump();
+		return res;
+	};
+	res.on('close', function () {
+		clearTimeout(timer);
+	});
+}
+
+function resolveProfile(profile) {
+	if (!profile || profile === 'none') return null;
+	if (typeof profile === 'string') {
+		if (!PROFILES.hasOwnProperty(profile)) throw new Error('Unknown network profile "' + profile + '"');
+		profile = PROFILES[profile];
+	}
+	var failures = (profile.failures || []).map(function (rule) {
+		return { matches: matcher(rule.path || '/'), rate: rule.rate === undefined ? 1 : rule.rate, status: rule.status || null };
+	});
+	if (profile.failureRate) failures.push({ matches: matcher('/'), rate: profile.failureRate, status: null });
+	return {
+		latency: profile.latency || 0,
+		bytesPerSecond: profile.downloadKbps ? profile.downloadKbps * 1000 / 8 : 0,
+		failures: failures
+	};
+}
+
+/**
+ * Simulates a slow or unreliable network: adds latency, caps the download rate and fails requests.
+ * The WebSocket of the reload script is not affected, so pages still reload.
+ * @param profile {(string|object)} Name of a built-in profile, a profile object or null for no throttling
+ */
+module.exports = function (profile) {
+	var current = resolveProfile(profile);
+
+	function throttle(req, res, next) {
+		var active = current;
+		if (!active) return next();
+		var timer = setTimeout(function () {
+			var reqPath;
+			try {
+				reqPath = decodeURIComponent(url.parse(req.url).pathname).replace(/^\/+/, '');
+			} catch (e) {
+				reqPath = '';
+			}
+			var failure = active.failures.find(function (rule) {
+				return rule.matches(reqPath) && Math.random() < rule.rate;
+			});
+			if (failure && !failure.status) return req.socket.destroy();
+			if (active.bytesPerSecond) limitRate(res, active.bytesPerSecond);
+			if (!failure) return next();
+			res.statusCode = failure.status;
+			res.setHeader('Content-Type', 'text/plain; charset=UTF-8');
+			res.end(failure.status + ' ' + (http.STATUS_CODES[failure.status] || '') + ' (simulated by Live Server)');
+		}, active.latency);
+		// Requests given up by the client are not handled after the latency
+		req.on('close', function () {
+			clearTimeout(timer);
+		});
+	}
+
+	/**
+	 * Applies to requests received from now on.
+	 * @param value {(string|object)} Same as the argument of the factory
+	 */
+	throttle.setProfile = function (value) {
+		current = resolveProfile(value);
+	};
+
+	return throttle;
+};
+
+module.exports.profiles = PROFILES;
@@ -0,0 +1,419 @@
+'use strict';
+
+var fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	tls = require('tls'),
+	crypto = require('crypto');
+
+var PREFIX = 'liveServer.settings.';
+var PROFILE_FILE = '.liveserverrc.json';
+// Generated from the settings of the extension which bundles live-server
+var SCHEMA_FILE = path.join(__dirname, 'liveserverrc.schema.json');
+var VARIABLE = /\$\{(env:([^}]+)|workspaceFolder)\}/g;
+
+/**
+ * Blanks out comments and trailing commas, which VS Code allows in its settings files. Everything else keeps
+ * its offset, so positions in errors of `JSON.parse` point into the original text.
+ */
+function stripJsonc(text) {
+	var output = '', comma = -1;
+	function blank(part) {
+		return part.replace(/[^\r\n]/g, ' ');
+	}
+	for (var i = 0; i < text.length; i++) {
+		var c = text[i];
+		if (c === '"') {
+			var end = i + 1;
+			while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+			output += text.slice(i, end + 1);
+			i = end;
+			comma = -1;
+		} else if (c === '/' && text[i + 1] === '/') {
+			var eol = text.indexOf('\n', i);
+			if (eol === -1) eol = text.length;
+			output += blank(text.slice(i, eol));
+			i = eol - 1;
+		} else if (c === '/' && text[i + 1] === '*') {
+			var close = text.indexOf('*/', i + 2);
+			close = close === -1 ? text.length : close + 2;
+			output += blank(text.slice(i, close));
+			i = close - 1;
+		} else {
+			if ((c === '}' || c === ']') && comma > -1) output = output.slice(0, comma) + ' ' + output.slice(comma + 1);
+			if (c === ',') comma = output.length;
+			else if (!/\s/.test(c)) comma = -1;
+			output += c;
+		}
+	}
+	return output;
+}
+
+/**
+ * `JSON.parse` for JSON with comments and trailing commas, like `.vscode/settings.json` or `.liveserverrc.json`.
+ */
+function parseJsonc(text) {
+	return JSON.parse(stripJsonc(text.replace(/^\uFEFF/, '')));
+}
+
+/**
+ * @returns {object} Contents of the file, undefined if it doesn't exist
+ */
+function readJson(file) {
+	var text;
+	try {
+		text = fs.readFileSync(file, 'utf8');
+	} catch (e) {
+		if (e.code === 'ENOENT') return undefined;
+		throw new Error('Can\'t read "' + file + '": ' + e.message);
+	}
+	try {
+		return parseJsonc(text);
+	} catch (e) {
+		throw new Error('"' + file + '" is not valid JSON: ' + e.message);
+	}
+}
+
+var defaults = null;
+var profileSchema = null;
+
+// Schema of one profile, with the settings a profile can change
+function readProfileSchema() {
+	if (!profileSchema) profileSchema = readJson(SCHEMA_FILE).definitions.profile;
+	return profileSchema;
+}
+
+/**
+ * Defaults of liveServer.settings.*, from the schema of the profiles.
+ */
+function readDefaults() {
+	if (!defaults) {
+		var properties = readProfileSchema().properties;
+		defaults = {};
+		Object.keys(properties).forEach(function (key) {
+			if (key !== 'extends') defaults[key] = properties[key].default;
+		});
+	}
+	return defaults;
+}
+
+function typeOf(value) {
+	return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+function extendsOf(profile) {
+	return typeOf(profile) === 'object' && profile.extends !== undefined ? [].concat(profile.extends) : [];
+}
+
+/**
+ * Chain of profile names leading from `chain[0]` back to itself through `extends`, null if there is none.
+ */
+function findCycle(profiles, chain) {
+	var parents = extendsOf(profiles[chain[chain.length - 1]]);
+	for (var i = 0; i < parents.length; i++) {
+		var parent = parents[i];
+		if (parent === chain[0]) return chain.concat(parent);
+		if (chain.indexOf(parent) > -1 || !Object.prototype.hasOwnProperty.call(profiles, parent)) continue;
+		var cycle = findCycle(profiles, chain.concat(parent));
+		if (cycle) return cycle;
+	}
+	return null;
+}
+
+/**
+ * Types allowed by the schema of a setting, null if the schema is too involved to check here (e.g. `proxy`).
+ * VS Code validates those while the file is open.
+ */
+function allowedTypes(schema) {
+	var branch = schema.anyOf ? schema.anyOf[0] : schema;
+	return branch.type ? [].concat(branch.type) : null;
+}
+
+/**
+ * Replaces `${env:NAME}` and `${workspaceFolder}` in the strings of a value.
+ * A string which is just one variable becomes a number or boolean where the setting needs one, e.g. `"port": "${env:PORT}"`.
+ * @param types {array} Types allowed for the value, null for any
+ * @param onMissing {function} Optional, called with the name of every environment variable which is not set
+ */
+function interpolate(value, types, workspacePath, onMissing) {
+	if (typeof value === 'string') {
+		var replaced = value.replace(VARIABLE, function (match, variable, envName) {
+			if (!envName) return workspacePath;
+			if (process.env[envName] === undefined) {
+				if (onMissing) onMissing(envName);
+				return '';
+			}
+			return process.env[envName];
+		});
+		if (replaced === value || !types || types.indexOf('string') > -1 || !/^\$\{[^}]+\}$/.test(value)) return replaced;
+		if (types.indexOf('number') > -1 && replaced.trim() !== '' && !isNaN(Number(replaced))) return Number(replaced);
+		if (types.indexOf('boolean') > -1 && (replaced === 'true' || replaced === 'false')) return replaced === 'true';
+		return replaced;
+	}
+	if (Array.isArray(value)) return value.map(function (item) {
+		return interpolate(item, null, workspacePath, onMissing);
+	});
+	if (typeOf(value) === 'object') {
+		var copy = {};
+		Object.keys(value).forEach(function (key) {
+			copy[key] = interpolate(value[key], null, workspacePath, onMissing);
+		});
+		return copy;
+	}
+	return value;
+}
+
+/**
+ * Settings of a profile merged over the settings of the profiles it extends, with variables replaced
+ * and the types of the settings checked.
+ * @param profiles {object} `profiles` of `.liveserverrc.json`
+ * @param report {function} Called with (message, anchor, severity) for every problem. `anchor` is the path of keys
+ *   of the property in the file, `severity` 'error' or 'warning'. Problems of the extended profiles are not reported.
+ * @returns {object} The settings, or null if the profile has errors
+ */
+function resolveProfile(profiles, name, workspacePath, report) {
+	var profile = profiles[name];
+	if (typeOf(profile) !== 'object') {
+		report('Profile \'' + name + '\' must be an object.', ['profiles', name], 'error');
+		return null;
+	}
+	var cycle = findCycle(profiles, [name]);
+	if (cycle) {
+		report('Profile \'' + name + '\' extends itself: ' + cycle.join(' -> ') + '.', ['profiles', name, 'extends'], 'error');
+		return null;
+	}
+	var settings = {};
+	var valid = true;
+	extendsOf(profile).forEach(function (parent) {
+		if (!Object.prototype.hasOwnProperty.call(profiles, parent)) {
+			report('Profile \'' + name + '\' extends the unknown profile \'' + parent + '\'.', ['profiles', name, 'extends'], 'error');
+			valid = false;
+			return;
+		}
+		// Problems of the parent are reported with the parent
+		var inherited = resolveProfile(profiles, parent, workspacePath, function () { });
+		if (inherited) {
+			settings = Object.assign(settings, inherited);
+			return;
+		}
+		report('Profile \'' + name + '\' extends \'' + parent + '\', which has errors.', ['profiles', name, 'extends'], 'error');
+		valid = false;
+	});
+	var properties = readProfileSchema().properties;
+	Object.keys(profile).filter(function (key) {
+		return key !== 'extends';
+	}).forEach(function (key) {
+		var anchor = ['profiles', name, key];
+		if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+			report('Unknown setting \'' + key + '\' in profile \'' + name + '\'. Use the names of liveServer.settings.* without the prefix.', anchor, 'warning');
+			return;
+		}
+		var types = allowedTypes(properties[key]);
+		var value = interpolate(profile[key], types, workspacePath, function (variable) {
+			report('Environment variable \'' + variable + '\' is not set.', anchor, 'warning');
+		});
+		if (types && types.indexOf(typeOf(value)) === -1 && !(typeOf(value) === 'number' && types.indexOf('integer') > -1)) {
+			report('\'' + key + '\' of profile \'' + name + '\' must be of type ' + types.join(' or ') + '.', anchor, 'error');
+			valid = false;
+			return;
+		}
+		settings[key] = value;
+	});
+	return valid ? settings : null;
+}
+
+/**
+ * liveServer.settings.* of a workspace folder as the extension sees them: the defaults, `.vscode/settings.json`,
+ * then a profile of `.liveserverrc.json`. User settings of VS Code are not read.
+ * Warnings of the profile are printed, errors thrown.
+ * @param workspacePath {string} Workspace folder
+ * @param profileName {string} Profile to apply, the `default` profile of the file if undefined, none if null
+ * @returns {object} { settings, profile } settings by name without the prefix and the name of the applied profile (or null)
+ */
+module.exports = function (workspacePath, profileName) {
+	var settings = Object.assign({}, readDefaults());
+	var vscodeSettings = readJson(path.join(workspacePath, '.vscode', 'settings.json')) || {};
+	Object.keys(vscodeSettings).forEach(function (key) {
+		if (key.indexOf(PREFIX) === 0) settings[key.slice(PREFIX.length)] = vscodeSettings[key];
+	});
+
+	var profileFile = readJson(path.join(workspacePath, PROFILE_FILE));
+	if (profileName === undefined) profileName = profileFile && profileFile.default || null;
+	if (profileName !== null) {
+		if (!profileFile || typeOf(profileFile.profiles) !== 'object')
+			throw new Error('No profiles in ' + path.join(workspacePath, PROFILE_FILE));
+		var profiles = profileFile.profiles;
+		if (!Object.prototype.hasOwnProperty.call(profiles, profileName))
+			throw new Error('Unknown profile "' + profileName + '" in ' + PROFILE_FILE + '. Profiles: ' + Object.keys(profiles).join(', '));
+		var errors = [];
+		var profileSettings = resolveProfile(profiles, profileName, workspacePath, function (message, anchor, severity) {
+			if (severity === 'warning') console.warn(PROFILE_FILE + ': ' + message);
+			else errors.push(message);
+		});
+		if (!profileSettings) throw new Error(PROFILE_FILE + ': ' + errors.join(' '));
+		Object.assign(settings, profileSettings);
+	}
+	return { settings: settings, profile: profileName };
+};
+
+/**
+ * Names of the liveServer.settings.* of a server, without the prefix. Settings of the editor are left out.
+ */
+module.exports.names = function () {
+	return Object.keys(readDefaults());
+};
+
+module.exports.stripJsonc = stripJsonc;
+module.exports.parseJsonc = parseJsonc;
+module.exports.resolveProfile = resolveProfile;
+module.exports.interpolate = interpolate;
+
+/**
+ * Folder served for `liveServer.settings.root`, the workspace folder if it doesn't exist.
+ * @param root {string} e.g. '/subfolder1/subfolder2'
+ * @param workspacePath {string} Workspace folder
+ * @returns {object} { rootPath, isNotOkay } the folder (ending with a separator) and whether the setting was ignored
+ */
+function rootPathOf(root, workspacePath) {
+	var rootPath = path.join(workspacePath, root || '/');
+	var isNotOkay = !fs.existsSync(rootPath);
+	if (isNotOkay) rootPath = workspacePath;
+	if (!rootPath.endsWith(path.sep)) rootPath += path.sep;
+	return { rootPath: rootPath, isNotOkay: isNotOkay };
+}
+
+module.exports.rootPathOf = rootPathOf;
+
+function localIp() {
+	var found = null;
+	var ifaces = os.networkInterfaces();
+	Object.keys(ifaces).forEach(function (name) {
+		ifaces[name].forEach(function (addr) {
+			if (!found && (addr.family === 'IPv4' || addr.family === 4) && !addr.internal) found = addr.address;
+		});
+	});
+	return found;
+}
+
+function readHttpsFile(filePath, name) {
+	if (!filePath)
+		throw new Error('liveServer.settings.https.' + name + ' is empty. Set the full path of the ' + name + ' file or set \'enable\' to \'auto\'.');
+	try {
+		return fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		throw new Error('Can\'t read liveServer.settings.https.' + name + ' file \'' + filePath + '\' : ' +
+			(e.code === 'ENOENT' ? 'file not found' : e.message));
+	}
+}
+
+function httpsOptions(settings, resolve, certificate) {
+	var httpsConfig = settings.https || {};
+	if (httpsConfig.enable === 'auto') {
+		if (!certificate) throw new Error('liveServer.settings.https "auto" needs a certificate authority. Set "cert" and "key" instead.');
+		var hosts = ['localhost', '127.0.0.1', '::1'];
+		[localIp(), settings.host].forEach(function (host) {
+			if (host && hosts.indexOf(host) === -1) hosts.push(host);
+		});
+		return certificate(hosts);
+	}
+	if (httpsConfig.enable !== true) return null;
+	var https = {
+		cert: readHttpsFile(resolve(httpsConfig.cert), 'cert'),
+		key: readHttpsFile(resolve(httpsConfig.key), 'key'),
+		passphrase: httpsConfig.passphrase
+	};
+	try {
+		tls.createSecureContext(https);
+	} catch (e) {
+		throw new Error('Invalid https setup in liveServer.settings.https : ' + e.message +
+			'. Check that \'cert\' and \'key\' are a matching PEM pair and that \'passphrase\' is correct.');
+	}
+	return https;
+}
+
+function proxyOptions(proxyConfig) {
+	if (Array.isArray(proxyConfig)) {
+		var rules = proxyConfig.filter(function (rule) {
+			return rule.enable !== false;
+		}).map(function (rule) {
+			return { baseUri: rule.baseUri, proxyUri: rule.proxyUri, pathRewrite: rule.pathRewrite, headers: rule.headers, wsUri: rule.wsUri };
+		});
+		return rules.length ? rules : null;
+	}
+	return proxyConfig && proxyConfig.enable === true ? [[proxyConfig.baseUri, proxyConfig.proxyUri]] : null;
+}
+
+/**
+ * Options of `LiveServer.start` for the settings of a workspace folder. The extension and the command line
+ * both build them here.
+ * @param settings {object} Settings by name without the prefix
+ * @param workspacePath {string} Workspace folder, relative paths of the settings are resolved against it
+ * @param hooks {object} Optional { certificate }, `certificate(hosts)` returns the { cert, key } of the `auto` https mode
+ */
+module.exports.toOptions = function (settings, workspacePath, hooks) {
+	hooks = hooks || {};
+	function resolve(file) {
+		return file ? path.resolve(workspacePath, file) : null;
+	}
+
+	var access = settings.accessControl || {};
+	var htpasswd = null, auth = null;
+	if (access.auth === 'htpasswd') {
+		htpasswd = resolve(access.htpasswd || '.htpasswd');
+		if (!fs.existsSync(htpasswd)) throw new Error('htpasswd file not found: ' + htpasswd);
+	} else if (access.auth === 'oneTimePassword') {
+		auth = {
+			username: 'liveserver',
+			password: crypto.randomBytes(12).toString('base64').replace(/[+/=]/g, '')
+		};
+	}
+
+	var spaConfig = settings.spa || {};
+	var markdownConfig = settings.markdown || {};
+	var includesConfig = settings.includes || {};
+	var throttleConfig = settings.throttle || {};
+	var throttle = throttleConfig.profile && throttleConfig.profile !== 'none' ?
+		(throttleConfig.profiles || {})[throttleConfig.profile] || throttleConfig.profile : null;
+
+	return {
+		port: settings.port,
+		portFallback: settings.portFallbackRange === undefined ? 10 : settings.portFallbackRange,
+		host: access.localhostOnly ? '127.0.0.1' : '0.0.0.0',
+		htpasswd: htpasswd,
+		auth: auth,
+		allow: access.allow && access.allow.length ? access.allow : null,
+		root: rootPathOf(settings.root, workspacePath).rootPath,
+		file: settings.file || null,
+		spa: spaConfig.enable === true ? { file: spaConfig.file || 'index.html', exclude: spaConfig.exclude || [] } : null,
+		open: settings.NoBrowser ? false : '',
+		https: httpsOptions(settings, resolve, hooks.certificate),
+		ignore: (settings.ignoreFiles || []).map(function (glob) {
+			return glob.charAt(0) !== '*' && !path.isAbsolute(glob) ? path.join(workspacePath, glob) : glob;
+		}),
+		disableGlobbing: true,
+		proxy: proxyOptions(settings.proxy),
+		cors: true,
+		wait: settings.wait === undefined ? 100 : settings.wait,
+		fullReload: settings.fullReload,
+		htmlHotUpdate: settings.htmlHotUpdate || false,
+		targetedReload: settings.targetedReload,
+		sync: settings.sync,
+		forwardConsole: settings.forwardConsole || false,
+		headers: settings.headers || [],
+		mocks: resolve(settings.mocks),
+		middleware: (settings.middleware || []).map(resolve),
+		injectExtensions: settings.injectExtensions,
+		injectMimeTypes: settings.injectMimeTypes,
+		markdown: markdownConfig.enable !== true ? null : {
+			extensions: ['.md', '.markdown'],
+			template: resolve(markdownConfig.template),
+			stylesheet: markdownConfig.stylesheet || null
+		},
+		includes: includesConfig.enable === true ? { data: resolve(includesConfig.data) } : null,
+		throttle: throttle,
+		useBrowserExtension: settings.useWebExt || false,
+		mount: (settings.mount || []).map(function (rule) {
+			return rule.length === 2 && rule[1] ? [rule[0], resolve(rule[1])] : rule;
+		})
+	};
+};
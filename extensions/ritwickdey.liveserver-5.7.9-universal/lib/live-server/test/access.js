@@ -0,0 +1,93 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var liveServer = require('..');
+var access = require('../middleware/access');
+
+describe('access control', function () {
+	describe('allow list', function () {
+		var allows = access(['192.168.1.0/24', '10.0.0.5', 'fd00::/8']).allows;
+
+		it('allows addresses in IPv4 ranges and single addresses', function () {
+			assert.ok(allows('192.168.1.1'));
+			assert.ok(allows('192.168.1.255'));
+			assert.ok(!allows('192.168.2.1'));
+			assert.ok(allows('10.0.0.5'));
+			assert.ok(!allows('10.0.0.6'));
+		});
+
+		it('treats IPv4-mapped IPv6 addresses like IPv4 addresses', function () {
+			assert.ok(allows('::ffff:192.168.1.7'));
+			assert.ok(!allows('::ffff:192.168.3.7'));
+		});
+
+		it('allows addresses in IPv6 ranges', function () {
+			assert.ok(allows('fd12:3456::1'));
+			assert.ok(allows('[fd00::1%eth0]'));
+			assert.ok(!allows('fe80::1'));
+		});
+
+		it('always allows the local machine', function () {
+			assert.ok(access([]).allows('127.0.0.1'));
+			assert.ok(access([]).allows('127.1.2.3'));
+			assert.ok(access([]).allows('::1'));
+			assert.ok(access([]).allows('::ffff:127.0.0.1'));
+		});
+
+		it('allows nothing else for invalid addresses', function () {
+			assert.ok(!allows(''));
+			assert.ok(!allows('localhost'));
+		});
+
+		it('rejects invalid entries', function () {
+			assert.throws(function () {
+				access(['192.168.1.0/33']);
+			}, /Invalid CIDR prefix/);
+			assert.throws(function () {
+				access(['example.com']);
+			}, /Invalid IP address/);
+		});
+
+		it('does not keep a server whose allow list is invalid', function () {
+			var instances = liveServer.instances.slice();
+			assert.throws(function () {
+				liveServer.start({ root: helpers.DATA, port: 0, open: false, logLevel: 0, allow: ['192.168.1.0/33'] });
+			}, /Invalid CIDR prefix/);
+			assert.deepStrictEqual(liveServer.instances, instances);
+		});
+	});
+
+	describe('authentication', function () {
+		var server;
+
+		before(function () {
+			return helpers.start({
+				auth: { username: 'liveserver', password: 'secret' },
+				allow: ['192.168.1.0/24']
+			}).then(function (started) {
+				server = started;
+			});
+		});
+
+		after(function () {
+			return server.instance.shutdown();
+		});
+
+		it('asks for credentials', function () {
+			return server.request.get('/index.html')
+				.expect('WWW-Authenticate', /Basic/)
+				.expect(401);
+		});
+
+		it('rejects wrong credentials', function () {
+			return server.request.get('/index.html')
+				.auth('liveserver', 'wrong')
+				.expect(401);
+		});
+
+		it('serves files with the right credentials', function () {
+			return server.request.get('/index.html')
+				.auth('liveserver', 'secret')
+				.expect(200);
+		});
+	});
+});
@@ -0,0 +1,63 @@
+var assert = require('assert');
+var path = require('path');
+var helpers = require('./helpers');
+
+describe('asset refresh', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({ mount: [['/assets', helpers.DATA]] }).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('sends the URL paths of a changed image, also those of mounts', function () {
+		server.instance.reload([path.join(helpers.DATA, 'icon.svg')]);
+		return page.next().then(function (message) {
+			assert.deepStrictEqual(message, { command: 'refreshasset', paths: ['/icon.svg', '/assets/icon.svg'] });
+		});
+	});
+
+	it('treats fonts as assets as well', function () {
+		server.instance.reload([path.join(helpers.DATA, 'fonts', 'Body.WOFF2')]);
+		return page.next().then(function (message) {
+			assert.strictEqual(message.command, 'refreshasset');
+			assert.deepStrictEqual(message.paths, ['/fonts/Body.WOFF2', '/assets/fonts/Body.WOFF2']);
+		});
+	});
+});
+
+describe('asset refresh with fullReload', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({ fullReload: true }).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('reloads the page instead', function () {
+		server.instance.reload([path.join(helpers.DATA, 'icon.svg')]);
+		return page.next().then(function (message) {
+			assert.strictEqual(message, 'reload');
+		});
+	});
+});
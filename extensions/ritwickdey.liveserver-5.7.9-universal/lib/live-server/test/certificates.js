@@ -0,0 +1,118 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var forge = require('node-forge');
+var certificates = require('../certificates');
+
+var DAY = 24 * 60 * 60 * 1000;
+var HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// A certificate which expires tomorrow, signed by `signer` or by itself
+function expiringCertificate(subject, signer) {
+	var keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+	var cert = forge.pki.createCertificate();
+	cert.publicKey = forge.pki.publicKeyFromPem(keys.publicKey.export({ type: 'spki', format: 'pem' }));
+	cert.serialNumber = '01';
+	cert.validity.notBefore = new Date(Date.now() - DAY);
+	cert.validity.notAfter = new Date(Date.now() + DAY);
+	cert.setSubject(subject);
+	cert.setIssuer(signer ? signer.cert.subject.attributes : subject);
+	var key = keys.privateKey.export({ type: 'pkcs8', format: 'pem' });
+	cert.sign(forge.pki.privateKeyFromPem(signer ? signer.key : key), forge.md.sha256.create());
+	return { cert: forge.pki.certificateToPem(cert), key: key };
+}
+
+describe('certificates', function () {
+	var folders = [];
+
+	this.timeout(20000);
+
+	function storage() {
+		var folder = fs.mkdtempSync(path.join(os.tmpdir(), 'live-server-certificates-'));
+		folders.push(folder);
+		return folder;
+	}
+
+	function read(folder, name) {
+		return fs.readFileSync(path.join(folder, name), 'utf8');
+	}
+
+	after(function () {
+		folders.forEach(function (folder) {
+			fs.rmSync(folder, { recursive: true, force: true });
+		});
+	});
+
+	it('creates a CA and a certificate for the hosts signed by it', function () {
+		var folder = storage(), created = [];
+		var result = certificates(path.join(folder, 'nested'), HOSTS.concat('dev.local'), function (caPath) {
+			created.push(caPath);
+		});
+		assert.deepStrictEqual(created, [certificates.caCertPath(path.join(folder, 'nested'))]);
+		var ca = forge.pki.certificateFromPem(read(folder, 'nested/liveServer-ca.crt'));
+		var cert = forge.pki.certificateFromPem(result.cert);
+		assert.ok(ca.verify(cert));
+		assert.strictEqual(ca.getExtension('basicConstraints').cA, true);
+		assert.deepStrictEqual(cert.getExtension('subjectAltName').altNames.map(function (altName) {
+			return altName.ip || altName.value;
+		}), HOSTS.concat('dev.local'));
+		// The chain ends with the CA and the key belongs to the certificate
+		assert.strictEqual(result.cert.split('-----BEGIN CERTIFICATE-----').length, 3);
+		assert.ok(result.cert.indexOf(read(folder, 'nested/liveServer-ca.crt')) > 0);
+		assert.strictEqual(forge.pki.privateKeyFromPem(result.key).n.toString(16), cert.publicKey.n.toString(16));
+	});
+
+	it('reuses the CA and the certificate on disk', function () {
+		var folder = storage(), created = 0;
+		var first = certificates(folder, HOSTS, function () {
+			created++;
+		});
+		var ca = read(folder, 'liveServer-ca.crt');
+		var second = certificates(folder, HOSTS, function () {
+			created++;
+		});
+		assert.deepStrictEqual(second, first);
+		// Other hosts get a new certificate from the same CA
+		var other = certificates(folder, HOSTS.concat('192.168.1.2'), function () {
+			created++;
+		});
+		assert.strictEqual(created, 1);
+		assert.strictEqual(read(folder, 'liveServer-ca.crt'), ca);
+		assert.notStrictEqual(other.key, first.key);
+		assert.ok(forge.pki.certificateFromPem(ca).verify(forge.pki.certificateFromPem(other.cert)));
+	});
+
+	it('renews a certificate which is about to expire', function () {
+		var folder = storage(), created = 0;
+		certificates(folder, HOSTS, function () {
+			created++;
+		});
+		var expiring = expiringCertificate([{ name: 'commonName', value: 'localhost' }], {
+			cert: forge.pki.certificateFromPem(read(folder, 'liveServer-ca.crt')),
+			key: read(folder, 'liveServer-ca.key')
+		});
+		fs.writeFileSync(path.join(folder, 'liveServer-localhost.crt'), expiring.cert);
+		fs.writeFileSync(path.join(folder, 'liveServer-localhost.key'), expiring.key);
+		var renewed = certificates(folder, HOSTS, function () {
+			created++;
+		});
+		assert.strictEqual(created, 1);
+		assert.notStrictEqual(renewed.key, expiring.key);
+		assert.ok(forge.pki.certificateFromPem(renewed.cert).validity.notAfter.getTime() > Date.now() + 300 * DAY);
+	});
+
+	it('renews a CA which is about to expire', function () {
+		var folder = storage(), created = 0;
+		var expiring = expiringCertificate([{ name: 'commonName', value: 'Live Server Local CA' }]);
+		fs.writeFileSync(path.join(folder, 'liveServer-ca.crt'), expiring.cert);
+		fs.writeFileSync(path.join(folder, 'liveServer-ca.key'), expiring.key);
+		var result = certificates(folder, HOSTS, function () {
+			created++;
+		});
+		assert.strictEqual(created, 1);
+		assert.notStrictEqual(read(folder, 'liveServer-ca.crt'), expiring.cert);
+		assert.ok(forge.pki.certificateFromPem(read(folder, 'liveServer-ca.crt')).verify(forge.pki.certificateFromPem(result.cert)));
+	});
+});
@@ -0,0 +1,98 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var request = require('supertest');
+var liveServer = require('..');
+
+var CLI = path.join(__dirname, '..', 'live-server.js');
+
+/**
+ * Run the command line with `args` until it printed its first line.
+ * @returns {Promise} Resolved with { child, line, exited } where `exited` resolves with the exit code
+ */
+function run(args) {
+	var child = childProcess.spawn(process.execPath, [CLI].concat(args), { stdio: ['ignore', 'pipe', 'pipe'] });
+	var exited = new Promise(function (resolve) {
+		child.on('close', resolve);
+	});
+	var output = '', errors = '';
+	child.stderr.on('data', function (chunk) {
+		errors += chunk;
+	});
+	return new Promise(function (resolve, reject) {
+		child.stdout.on('data', function (chunk) {
+			output += chunk;
+			if (output.indexOf('\n') > -1) resolve({ child: child, line: output.split('\n')[0], exited: exited });
+		});
+		exited.then(function (code) {
+			reject(new Error('Exited with ' + code + ': ' + output + errors));
+		});
+	});
+}
+
+describe('command line', function () {
+	var folder;
+
+	this.timeout(10000);
+
+	before(function () {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'live-server-cli-'));
+		fs.writeFileSync(path.join(folder, 'index.html'), '<html><body><h1>CLI</h1></body></html>');
+	});
+
+	after(function () {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	it('serves the folder without a browser and stops on SIGTERM', function () {
+		var started;
+		return run([folder, '--port=0', '--json']).then(function (result) {
+			started = result;
+			var status = JSON.parse(started.line);
+			assert.strictEqual(status.root, folder + path.sep);
+			assert.ok(status.port > 0);
+			return request(status.url).get('index.html').expect(200, /<h1>CLI<\/h1>/);
+		}).then(function () {
+			started.child.kill('SIGTERM');
+			return started.exited;
+		}).then(function (code) {
+			assert.strictEqual(code, 0);
+		});
+	});
+
+	it('prints errors as JSON', function () {
+		return run([folder, '--port=http', '--json']).then(function (result) {
+			assert.deepStrictEqual(JSON.parse(result.line), { error: '--port needs a number' });
+			return result.exited;
+		}).then(function (code) {
+			assert.strictEqual(code, 1);
+		});
+	});
+
+	it('keeps serving when the browser can not be opened', function () {
+		var warn = console.warn, warnings = [];
+		console.warn = function (message) {
+			warnings.push(message);
+		};
+		var instance = liveServer.start({ root: folder, port: 0, logLevel: 0, browser: path.join(folder, 'no-browser') });
+		return instance.listening.then(function () {
+			return new Promise(function (resolve) {
+				setTimeout(resolve, 200);
+			});
+		}).then(function () {
+			console.warn = warn;
+			assert.strictEqual(warnings.length, 1);
+			assert.ok(/Could not open http:\/\/127\.0\.0\.1:\d+ in a browser/.test(warnings[0]), warnings[0]);
+			return request('http://127.0.0.1:' + instance.address().port).get('/index.html').expect(200);
+		}).then(function () {
+			return instance.shutdown();
+		}, function (err) {
+			console.warn = warn;
+			return instance.shutdown().then(function () {
+				throw err;
+			});
+		});
+	});
+});
@@ -0,0 +1,74 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+describe('connected clients', function () {
+	var server, page, events = [];
+
+	before(function () {
+		return helpers.start().then(function (started) {
+			server = started;
+			server.instance.on('client', function (event) {
+				events.push(event.type);
+			});
+			return helpers.connect(server.base, '/sub/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	it('lists the page it connected from', function () {
+		var clients = server.instance.getClients();
+		assert.strictEqual(clients.length, 1);
+		assert.strictEqual(clients[0].page, '/sub/index.html');
+		assert.deepStrictEqual(events, ['connect']);
+	});
+
+	it('takes location, title and viewport from hello messages', function () {
+		page.send({
+			command: 'hello',
+			url: server.base + '/sub/index.html?q=1',
+			title: 'Sub',
+			userAgent: 'Test Browser',
+			viewport: { width: 390, height: 844, pixelRatio: 3 }
+		});
+		return page.none(100).then(function () {
+			var client = server.instance.getClients()[0];
+			assert.strictEqual(client.url, server.base + '/sub/index.html?q=1');
+			assert.strictEqual(client.title, 'Sub');
+			assert.strictEqual(client.userAgent, 'Test Browser');
+			assert.deepStrictEqual(client.viewport, { width: 390, height: 844, pixelRatio: 3 });
+			assert.deepStrictEqual(events, ['connect', 'update']);
+		});
+	});
+
+	it('reloads and navigates one page by its id', function () {
+		var id = server.instance.getClients()[0].id;
+		assert.strictEqual(server.instance.reloadClient(id), true);
+		assert.strictEqual(server.instance.navigateClient(id, '/index.html'), true);
+		return Promise.all([page.next(), page.next()]).then(function (messages) {
+			assert.deepStrictEqual(messages, ['reload', { command: 'navigate', url: '/index.html' }]);
+		});
+	});
+
+	it('disconnects a page and forgets it', function () {
+		var id = server.instance.getClients()[0].id;
+		var closed = new Promise(function (resolve) {
+			page.ws.on('close', resolve);
+		});
+		assert.strictEqual(server.instance.disconnectClient(id), true);
+		return closed.then(function () {
+			return new Promise(function (resolve) {
+				setTimeout(resolve, 50);
+			});
+		}).then(function () {
+			assert.deepStrictEqual(server.instance.getClients(), []);
+			assert.deepStrictEqual(events, ['connect', 'update', 'disconnect']);
+			assert.strictEqual(server.instance.reloadClient(id), false);
+			assert.strictEqual(server.instance.navigateClient(id, '/'), false);
+		});
+	});
+});
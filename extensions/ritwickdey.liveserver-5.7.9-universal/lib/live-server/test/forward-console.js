@@ -0,0 +1,57 @@
+var assert = require('assert');
+var path = require('path');
+var helpers = require('./helpers');
+
+describe('forwardConsole', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({ forwardConsole: true }).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	function nextConsoleEvent() {
+		return new Promise(function (resolve) {
+			server.instance.once('console', resolve);
+		});
+	}
+
+	it('emits console messages of the page with the client', function () {
+		var received = nextConsoleEvent();
+		page.send({ command: 'console', level: 'error', args: ['Oops', '42'], stack: 'at app.js:1:2', url: '/index.html' });
+		return received.then(function (event) {
+			assert.strictEqual(event.level, 'error');
+			assert.deepStrictEqual(event.args, ['Oops', '42']);
+			assert.strictEqual(event.stack, 'at app.js:1:2');
+			assert.strictEqual(event.client.page, '/index.html');
+		});
+	});
+
+	it('ignores messages which are not objects', function () {
+		['null', '42', '"console"', '[{"command":"console"}]', 'not json'].forEach(function (message) {
+			page.send(message);
+		});
+		var received = nextConsoleEvent();
+		page.send({ command: 'console', level: 'log', args: ['still running'] });
+		return received.then(function (event) {
+			assert.deepStrictEqual(event.args, ['still running']);
+			return server.request.get('/index.html').expect(200);
+		});
+	});
+
+	it('finds the files of stack frames only inside the served folder', function () {
+		assert.strictEqual(server.instance.filePathOf('/sub/../index.html'), path.join(helpers.DATA, 'index.html'));
+		assert.strictEqual(server.instance.filePathOf('/../forward-console.js'), null);
+		assert.strictEqual(server.instance.filePathOf('/sub/../../helpers.js'), null);
+	});
+});
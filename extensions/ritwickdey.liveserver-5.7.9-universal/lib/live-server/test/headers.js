@@ -0,0 +1,81 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var matcher = require('../middleware/headers').matcher;
+
+describe('headers', function () {
+	describe('matcher', function () {
+		it('matches a plain path and everything below it', function () {
+			var matches = matcher('/docs');
+			assert.ok(matches('docs'));
+			assert.ok(matches('docs/a/b.html'));
+			assert.ok(!matches('docsite/index.html'));
+		});
+
+		it('matches globs with a slash against the whole path', function () {
+			assert.ok(matcher('api/**')('api/x/y'));
+			assert.ok(matcher('/api/*.json')('api/a.json'));
+			assert.ok(!matcher('api/*.json')('api/x/a.json'));
+			assert.ok(!matcher('api/*.json')('other/api/a.json'));
+		});
+
+		it('matches globs without a slash against the file name in any directory', function () {
+			assert.ok(matcher('*.html')('index.html'));
+			assert.ok(matcher('*.html')('a/b/page.html'));
+			assert.ok(!matcher('*.html')('style.css'));
+		});
+
+		it('matches dot files', function () {
+			assert.ok(matcher('**')('.well-known/x'));
+		});
+	});
+
+	describe('served responses', function () {
+		var server;
+
+		before(function () {
+			return helpers.start({
+				headers: [
+					{ path: '/**', headers: { 'X-All': 'yes' } },
+					{ path: 'sub/*.html', headers: { 'Cache-Control': 'no-store' } },
+					{ path: '*.html', headers: { 'Content-Security-Policy': "default-src 'self'" } },
+					{ path: 'style.css', headers: { 'X-All': null } }
+				]
+			}).then(function (started) {
+				server = started;
+			});
+		});
+
+		after(function () {
+			return server.instance.shutdown();
+		});
+
+		it('sets the headers of every matching rule', function () {
+			return server.request.get('/sub/index.html')
+				.expect('X-All', 'yes')
+				.expect('Cache-Control', 'no-store')
+				.expect(200);
+		});
+
+		it('applies rules of the index file to its directory', function () {
+			return server.request.get('/sub/')
+				.expect('Cache-Control', 'no-store')
+				.expect(200);
+		});
+
+		it('removes headers set to null by later rules', function () {
+			return server.request.get('/style.css').expect(200).then(function (res) {
+				assert.strictEqual(res.headers['x-all'], undefined);
+			});
+		});
+
+		it('allows the injected script and its WebSocket in a Content-Security-Policy', function () {
+			return server.request.get('/index.html').expect(200).then(function (res) {
+				var policy = res.headers['content-security-policy'];
+				var nonce = /'nonce-([^']+)'/.exec(policy);
+				assert.ok(nonce, policy);
+				assert.ok(policy.indexOf('ws://127.0.0.1:') > -1, policy);
+				assert.ok(res.text.indexOf('nonce="' + nonce[1] + '"') > -1);
+			});
+		});
+	});
+});
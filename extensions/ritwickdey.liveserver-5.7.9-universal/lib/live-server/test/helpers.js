@@ -0,0 +1,87 @@
+'use strict';
+
+var path = require('path'),
+	request = require('supertest'),
+	WebSocket = require('faye-websocket'),
+	liveServer = require('..');
+
+var DATA = path.join(__dirname, 'data');
+
+/**
+ * Start a server on a random port, quiet and without a browser.
+ * @param options {object} Options of `LiveServer.start`, merged over the defaults of the tests
+ * @returns {Promise} Resolved with { instance, base, request } once the server listens
+ */
+function start(options) {
+	var instance = liveServer.start(Object.assign({
+		root: DATA,
+		port: 0,
+		open: false,
+		logLevel: 0,
+		wait: 0
+	}, options));
+	return instance.listening.then(function () {
+		var base = 'http://127.0.0.1:' + instance.address().port;
+		return { instance: instance, base: base, request: request(base) };
+	});
+}
+
+/**
+ * Connect like the injected script of a page does.
+ * @param base {string} URL of the server
+ * @param page {string} Path of the page, e.g. '/index.html'
+ * @returns {Promise} Resolved with the client once the server said 'connected'. `client.next()` resolves
+ * with the next message (parsed if it is JSON), `client.none(ms)` resolves if none arrives within `ms`.
+ */
+function connect(base, page) {
+	var ws = new WebSocket.Client(base.replace(/^http/, 'ws') + (page || '') + '/ws');
+	var queue = [], waiting = [];
+	ws.on('message', function (event) {
+		var data = event.data;
+		try {
+			data = JSON.parse(data);
+		} catch (e) {
+			// plain commands like 'reload'
+		}
+		if (waiting.length) waiting.shift()(data);
+		else queue.push(data);
+	});
+	var client = {
+		ws: ws,
+		next: function () {
+			if (queue.length) return Promise.resolve(queue.shift());
+			return new Promise(function (resolve) {
+				waiting.push(resolve);
+			});
+		},
+		none: function (ms) {
+			return new Promise(function (resolve, reject) {
+				setTimeout(function () {
+					if (queue.length) reject(new Error('Unexpected message ' + JSON.stringify(queue[0])));
+					else resolve();
+				}, ms);
+			});
+		},
+		send: function (data) {
+			ws.send(typeof data === 'string' ? data : JSON.stringify(data));
+		},
+		close: function () {
+			return new Promise(function (resolve) {
+				ws.on('close', function () {
+					resolve();
+				});
+				ws.close();
+			});
+		}
+	};
+	return client.next().then(function (message) {
+		if (message !== 'connected') throw new Error('Expected "connected", got ' + JSON.stringify(message));
+		return client;
+	});
+}
+
+module.exports = {
+	DATA: DATA,
+	start: start,
+	connect: connect
+};
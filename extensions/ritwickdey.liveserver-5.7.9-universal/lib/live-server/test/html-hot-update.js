@@ -0,0 +1,153 @@
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var jsdom = require('jsdom');
+var helpers = require('./helpers');
+
+describe('html hot update', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({ htmlHotUpdate: true }).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('sends the changed page with its URL paths instead of reloading', function () {
+		server.instance.reload([path.join(helpers.DATA, 'index.html')]);
+		return page.next().then(function (message) {
+			assert.strictEqual(message.command, 'updatehtml');
+			assert.ok(message.paths.indexOf('/index.html') > -1);
+			assert.ok(message.html.indexOf('<h1>Index</h1>') > -1);
+		});
+	});
+
+	it('refreshes stylesheets in place', function () {
+		server.instance.reload([path.join(helpers.DATA, 'style.css')]);
+		return page.next().then(function (message) {
+			assert.strictEqual(message, 'refreshcss');
+		});
+	});
+
+	it('reloads for other files', function () {
+		server.instance.reload([path.join(helpers.DATA, 'app.js')]);
+		return page.next().then(function (message) {
+			assert.strictEqual(message, 'reload');
+		});
+	});
+});
+
+describe('html hot update with fullReload', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({ htmlHotUpdate: true, fullReload: true }).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('reloads the page', function () {
+		server.instance.reload([path.join(helpers.DATA, 'index.html')]);
+		return page.next().then(function (message) {
+			assert.strictEqual(message, 'reload');
+		});
+	});
+});
+
+describe('html hot update in the page', function () {
+	var INDEX = path.join(helpers.DATA, 'index.html');
+	var RENDERED = path.join(helpers.DATA, 'app', 'rendered.html');
+	var server, dom;
+
+	before(function () {
+		return helpers.start({ htmlHotUpdate: true }).then(function (started) {
+			server = started;
+		});
+	});
+
+	afterEach(function () {
+		dom.window.close();
+		server.instance.contents.clear();
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	// Loads a page with its scripts, `reloaded` resolves once the page asks for a reload
+	function open(page) {
+		var virtualConsole = new jsdom.VirtualConsole();
+		var reloaded = new Promise(function (resolve) {
+			virtualConsole.on('jsdomError', function (err) {
+				if (err.message.indexOf('navigation') > -1) resolve();
+			});
+		});
+		var connected = new Promise(function (resolve) {
+			server.instance.once('client', resolve);
+		});
+		return jsdom.JSDOM.fromURL(server.base + page, { runScripts: 'dangerously', virtualConsole: virtualConsole }).then(function (loaded) {
+			dom = loaded;
+			dom.reloaded = reloaded;
+			return connected;
+		}).then(function () {
+			return dom;
+		});
+	}
+
+	function delay(ms) {
+		return new Promise(function (resolve) {
+			setTimeout(resolve, ms);
+		});
+	}
+
+	it('patches a page which its scripts left alone', function () {
+		return open('/index.html').then(function () {
+			var heading = dom.window.document.querySelector('h1');
+			server.instance.setContents(INDEX, fs.readFileSync(INDEX, 'utf8').replace('<h1>Index</h1>', '<h1>Patched</h1>'));
+			return Promise.race([dom.reloaded.then(function () {
+				throw new Error('The page was reloaded');
+			}), delay(200)]).then(function () {
+				assert.strictEqual(dom.window.document.querySelector('h1'), heading);
+				assert.strictEqual(heading.textContent, 'Patched');
+			});
+		});
+	});
+
+	it('reloads a page whose scripts rendered content before it was loaded', function () {
+		return open('/app/rendered.html').then(function () {
+			server.instance.setContents(RENDERED, fs.readFileSync(RENDERED, 'utf8').replace('<title>Rendered</title>', '<title>Changed</title>'));
+			return dom.reloaded;
+		}).then(function () {
+			assert.strictEqual(dom.window.document.querySelector('#root p').textContent, 'Rendered by a script');
+		});
+	});
+
+	it('reloads a page whose scripts changed it later on', function () {
+		return open('/index.html').then(function () {
+			dom.window.document.body.appendChild(dom.window.document.createElement('section'));
+			server.instance.setContents(INDEX, fs.readFileSync(INDEX, 'utf8').replace('<h1>Index</h1>', '<h1>Patched</h1>'));
+			return dom.reloaded;
+		}).then(function () {
+			assert.strictEqual(dom.window.document.querySelector('h1').textContent, 'Index');
+			assert.ok(dom.window.document.querySelector('section'));
+		});
+	});
+});
@@ -0,0 +1,104 @@
+var assert = require('assert');
+var path = require('path');
+var helpers = require('./helpers');
+var createIncludes = require('../includes');
+
+var ROOT = path.resolve('/site');
+
+function render(files, source, options) {
+	var includes = createIncludes(Object.assign({
+		root: ROOT,
+		readFile: function (file) {
+			if (!files.hasOwnProperty(file)) {
+				var err = new Error('ENOENT: ' + file);
+				err.code = 'ENOENT';
+				throw err;
+			}
+			return files[file];
+		}
+	}, options));
+	return includes.render(source, path.join(ROOT, 'pages', 'page.html'));
+}
+
+describe('includes', function () {
+	it('includes files relative to the page and to the root, also nested', function () {
+		var files = {};
+		files[path.join(ROOT, 'pages', 'header.html')] = '<header><!--#include virtual="/parts/logo.html" --></header>';
+		files[path.join(ROOT, 'parts', 'logo.html')] = '\uFEFF<img>';
+		var result = render(files, '<!--#include file="header.html" --><main></main>');
+		assert.strictEqual(result.html, '<header><img></header><main></main>');
+		assert.deepStrictEqual(result.errors, []);
+		assert.deepStrictEqual(result.files, [path.join(ROOT, 'pages', 'header.html'), path.join(ROOT, 'parts', 'logo.html')]);
+	});
+
+	it('fills in values of the data file and keeps unknown names', function () {
+		var files = {};
+		files[path.join(ROOT, 'data.json')] = '{ "title": "Home", "site": { "year": 2024 }, "list": [1] }';
+		var result = render(files, '<h1>{{ title }}</h1>{{site.year}} {{list}} {{other}}', { data: path.join(ROOT, 'data.json') });
+		assert.strictEqual(result.html, '<h1>Home</h1>2024 {{list}} {{other}}');
+		assert.deepStrictEqual(result.files, [path.join(ROOT, 'data.json')]);
+	});
+
+	it('shows missing and recursive includes in the page', function () {
+		var files = {};
+		files[path.join(ROOT, 'pages', 'loop.html')] = '<!--#include file="loop.html" -->';
+		var result = render(files, '<!--#include file="missing.html" --><!--#include file="loop.html" -->');
+		assert.deepStrictEqual(result.errors, [
+			'Missing include "missing.html" in "' + path.join('pages', 'page.html') + '"',
+			'Recursive include of "loop.html" in "' + path.join('pages', 'loop.html') + '"'
+		]);
+		assert.strictEqual(result.html.split('Live Server: ').length, 3);
+	});
+
+	it('reports a data file which is not JSON', function () {
+		var files = {};
+		files[path.join(ROOT, 'data.json')] = '{ title: }';
+		var result = render(files, '{{title}}', { data: path.join(ROOT, 'data.json') });
+		assert.strictEqual(result.html, '{{title}}');
+		assert.ok(/is not valid JSON/.test(result.errors[0]));
+	});
+
+	it('handles HTML pages only', function () {
+		var includes = createIncludes({ root: ROOT });
+		assert.ok(includes.handles('a/page.SHTML'));
+		assert.ok(!includes.handles('a/style.css'));
+	});
+});
+
+describe('includes in served pages', function () {
+	var server, events = [];
+
+	var consoleError = console.error;
+
+	before(function () {
+		// Include errors are logged whatever the log level
+		console.error = function () { };
+		return helpers.start({ includes: { data: path.join(helpers.DATA, 'partials', 'data.json') } }).then(function (started) {
+			server = started;
+			server.instance.on('includes', function (event) {
+				events.push(event);
+			});
+		});
+	});
+
+	after(function () {
+		console.error = consoleError;
+		return server.instance.shutdown();
+	});
+
+	it('serves the page with includes and values, without validators of the file', function () {
+		return server.request.get('/sub/with-includes.html').expect(200).then(function (res) {
+			assert.ok(res.text.indexOf('<nav>Docs</nav>\n<p>{{missing}}</p>') === 0);
+			assert.ok(res.text.indexOf('Live Server: Missing include &quot;gone.html&quot;') > -1);
+			assert.ok(res.text.indexOf('Code injected by live-server') > -1);
+			assert.strictEqual(res.headers.etag, undefined);
+			assert.strictEqual(res.headers['last-modified'], undefined);
+		});
+	});
+
+	it('reports the errors of a page', function () {
+		assert.strictEqual(events.length, 1);
+		assert.strictEqual(events[0].url, '/sub/with-includes.html');
+		assert.deepStrictEqual(events[0].errors, ['Missing include "gone.html" in "' + path.join('sub', 'with-includes.html') + '"']);
+	});
+});
@@ -0,0 +1,120 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+var createInjector = require('../inject');
+
+function run(chunks, options) {
+	return new Promise(function (resolve, reject) {
+		var output = [];
+		var injector = createInjector('<script></script>', Object.assign({ tag: '</body>' }, options));
+		injector.on('data', function (chunk) {
+			output.push(chunk);
+		});
+		injector.on('end', function () {
+			resolve(Buffer.concat(output));
+		});
+		injector.on('error', reject);
+		chunks.forEach(function (chunk) {
+			injector.write(chunk);
+		});
+		injector.end();
+	});
+}
+
+describe('inject', function () {
+	it('injects before a tag split across chunks', function () {
+		return run([Buffer.from('<body>x</BO'), Buffer.from('DY></html>')]).then(function (output) {
+			assert.strictEqual(output.toString(), '<body>x<script></script></BODY></html>');
+		});
+	});
+
+	it('only injects once', function () {
+		return run([Buffer.from('</body></body>')]).then(function (output) {
+			assert.strictEqual(output.toString(), '<script></script></body></body>');
+		});
+	});
+
+	it('keeps UTF-16 pages in their encoding', function () {
+		var page = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('<body>ü</body>', 'utf16le')]);
+		return run([page]).then(function (output) {
+			assert.strictEqual(output.slice(2).toString('utf16le'), '<body>ü<script></script></body>');
+		});
+	});
+
+	it('appends the code if asked to and reports the missing tag', function () {
+		var missed = [];
+		return run([Buffer.from('<p>x</p>')], {
+			appendIfMissing: true,
+			onMissed: function (appended) {
+				missed.push(appended);
+			}
+		}).then(function (output) {
+			assert.strictEqual(output.toString(), '<p>x</p><script></script>');
+			assert.deepStrictEqual(missed, [true]);
+		});
+	});
+
+	it('otherwise leaves a body without the tag alone and reports it', function () {
+		var missed = [];
+		return run([Buffer.from('<svg/>')], {
+			tag: '</svg>',
+			onMissed: function (appended) {
+				missed.push(appended);
+			}
+		}).then(function (output) {
+			assert.strictEqual(output.toString(), '<svg/>');
+			assert.deepStrictEqual(missed, [false]);
+		});
+	});
+});
+
+describe('inject into served files', function () {
+	var server, missed = [];
+
+	before(function () {
+		return helpers.start({
+			onTagMissedCallback: function (appended) {
+				missed.push(appended);
+			}
+		}).then(function (started) {
+			server = started;
+		});
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	it('injects the reload script before </body>', function () {
+		return server.request.get('/index.html').expect(200).then(function (res) {
+			assert.ok(/Code injected by live-server[\s\S]*<\/body>/.test(res.text));
+			if (res.headers['content-length'])
+				assert.strictEqual(Number(res.headers['content-length']), Buffer.byteLength(res.text));
+		});
+	});
+
+	it('injects into SVG files before </svg>', function () {
+		return server.request.get('/icon.svg').expect(200).then(function (res) {
+			assert.ok(/Code injected by live-server[\s\S]*<\/svg>/.test(res.body.toString()));
+		});
+	});
+
+	it('appends the reload script to pages without a body tag and reports it', function () {
+		return server.request.get('/nobody.html').expect(200).then(function (res) {
+			assert.ok(/<p>No body tag<\/p>[\s\S]*Code injected by live-server/.test(res.text));
+			assert.deepStrictEqual(missed, [true]);
+		});
+	});
+
+	it('does not inject into fetch() requests', function () {
+		return server.request.get('/index.html')
+			.set('Sec-Fetch-Dest', 'empty')
+			.expect(200)
+			.then(function (res) {
+				assert.strictEqual(res.text.indexOf('live-server'), -1);
+			});
+	});
+
+	it('leaves other files alone', function () {
+		return server.request.get('/style.css').expect(200, 'body { color: red; }\n');
+	});
+});
@@ -0,0 +1,109 @@
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var helpers = require('./helpers');
+
+var INDEX = path.join(helpers.DATA, 'index.html');
+var STYLE = path.join(helpers.DATA, 'style.css');
+
+describe('live typing', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({}).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	afterEach(function () {
+		server.instance.contents.clear();
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('serves the unsaved contents in place of the file on disk', function () {
+		server.instance.setContents(STYLE, 'body { color: blue; }\n');
+		return page.next().then(function (message) {
+			assert.strictEqual(message, 'refreshcss');
+			return server.request.get('/style.css').expect(200, 'body { color: blue; }\n');
+		}).then(function (res) {
+			assert.strictEqual(res.headers.etag, undefined);
+			assert.strictEqual(res.headers['last-modified'], undefined);
+			assert.strictEqual(fs.readFileSync(STYLE, 'utf8'), 'body { color: red; }\n');
+		});
+	});
+
+	it('injects the reload script into unsaved pages', function () {
+		server.instance.setContents(INDEX, '<html><body><h1>Draft</h1></body></html>');
+		return page.next().then(function (message) {
+			assert.strictEqual(message, 'reload');
+			return server.request.get('/index.html').expect(200);
+		}).then(function (res) {
+			assert.ok(res.text.indexOf('<h1>Draft</h1>') > -1);
+			assert.ok(res.text.indexOf('<!-- Code injected by live-server -->') > -1);
+			assert.strictEqual(server.instance.readFile(INDEX), '<html><body><h1>Draft</h1></body></html>');
+		});
+	});
+
+	it('does not update the pages for the same contents', function () {
+		server.instance.setContents(STYLE, 'body { color: blue; }\n');
+		return page.next().then(function () {
+			server.instance.setContents(STYLE, Buffer.from('body { color: blue; }\n'));
+			return page.none(100);
+		});
+	});
+
+	it('serves the file on disk again once the contents are dropped', function () {
+		server.instance.setContents(STYLE, 'body { color: blue; }\n');
+		return page.next().then(function () {
+			server.instance.setContents(STYLE, null);
+			return page.next();
+		}).then(function (message) {
+			assert.strictEqual(message, 'refreshcss');
+			return server.request.get('/style.css').expect(200, 'body { color: red; }\n');
+		});
+	});
+
+	it('leaves the update of saved contents to the watcher', function () {
+		// A saved buffer is dropped with the same contents as the file on disk
+		server.instance.setContents(STYLE, fs.readFileSync(STYLE));
+		return page.next().then(function () {
+			server.instance.setContents(STYLE, null);
+			return page.none(100);
+		});
+	});
+});
+
+describe('live typing with html hot update', function () {
+	var server, page;
+
+	before(function () {
+		return helpers.start({ htmlHotUpdate: true }).then(function (started) {
+			server = started;
+			return helpers.connect(server.base, '/index.html');
+		}).then(function (client) {
+			page = client;
+		});
+	});
+
+	after(function () {
+		return page.close().then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('sends the unsaved page', function () {
+		server.instance.setContents(INDEX, '<html><body><h1>Draft</h1></body></html>');
+		return page.next().then(function (message) {
+			assert.strictEqual(message.command, 'updatehtml');
+			assert.ok(message.html.indexOf('<h1>Draft</h1>') > -1);
+		});
+	});
+});
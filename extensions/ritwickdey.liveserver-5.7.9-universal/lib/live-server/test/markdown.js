@@ -0,0 +1,87 @@
+var assert = require('assert');
+var path = require('path');
+var helpers = require('./helpers');
+
+describe('markdown', function () {
+	var server;
+
+	before(function () {
+		return helpers.start({ markdown: true }).then(function (started) {
+			server = started;
+		});
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	it('renders pages with the first heading as title and the reload script', function () {
+		return server.request.get('/docs/guide.md').expect(200).expect('Content-Type', /text\/html/).then(function (res) {
+			assert.ok(res.text.indexOf('<title>Guide</title>') > -1);
+			assert.ok(res.text.indexOf('class="markdown-body"') > -1);
+			assert.ok(/Code injected by live-server[\s\S]*<\/body>/.test(res.text));
+		});
+	});
+
+	it('gives headings unique anchors, also with letters outside of ASCII', function () {
+		return server.request.get('/docs/guide.md').expect(200).then(function (res) {
+			assert.ok(res.text.indexOf('<h2 id="über-uns"><a class="anchor" href="#über-uns"') > -1);
+			assert.ok(res.text.indexOf('<h2 id="über-uns-1">') > -1);
+		});
+	});
+
+	it('highlights code blocks', function () {
+		return server.request.get('/docs/guide.md').expect(200).then(function (res) {
+			assert.ok(res.text.indexOf('<code class="hljs language-js"><span class="hljs-keyword">var</span>') > -1);
+		});
+	});
+
+	it('sends the source to scripts fetching the file', function () {
+		return server.request.get('/docs/guide.md').set('Sec-Fetch-Dest', 'empty').expect(200).then(function (res) {
+			assert.strictEqual(res.text.indexOf('# Guide'), 0);
+		});
+	});
+});
+
+describe('markdown with a template and stylesheet', function () {
+	var server;
+
+	before(function () {
+		return helpers.start({
+			markdown: { template: path.join(helpers.DATA, 'docs', 'template.html'), stylesheet: '/docs.css' }
+		}).then(function (started) {
+			server = started;
+		});
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	it('fills the placeholders of the template', function () {
+		return server.request.get('/docs/guide.md').expect(200).then(function (res) {
+			assert.ok(/^<html><body><main><h1 id="guide">[\s\S]*<\/main><footer>Guide<\/footer><link rel="stylesheet" href="\/docs.css">/.test(res.text));
+		});
+	});
+});
+
+describe('markdown turned off', function () {
+	var server;
+
+	before(function () {
+		return helpers.start().then(function (started) {
+			server = started;
+		});
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	it('serves the source', function () {
+		return server.request.get('/docs/guide.md').expect(200).then(function (res) {
+			assert.strictEqual(res.headers['content-type'].indexOf('text/html'), -1);
+			assert.strictEqual(String(res.text || res.body).indexOf('# Guide'), 0);
+		});
+	});
+});
@@ -0,0 +1,112 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var helpers = require('./helpers');
+
+describe('workspace middleware', function () {
+	var dir, file, helper, server;
+
+	function write(target, source) {
+		fs.writeFileSync(target, source);
+	}
+
+	function delay(ms) {
+		return new Promise(function (resolve) {
+			setTimeout(resolve, ms);
+		});
+	}
+
+	function nextLoad() {
+		return new Promise(function (resolve) {
+			server.instance.once('middleware', resolve);
+		});
+	}
+
+	before(function () {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-server-middleware-'));
+		file = path.join(dir, 'mw.js');
+		helper = path.join(dir, 'greeting.js');
+		write(helper, 'module.exports = "hello";\n');
+		write(file, [
+			'var greeting = require("./greeting");',
+			'module.exports = function (req, res, next) {',
+			'	if (req.url === "/hello") return res.end(greeting);',
+			'	if (req.url === "/throw") throw new Error("broken handler");',
+			'	next();',
+			'};'
+		].join('\n'));
+		return helpers.start({ middleware: [file] }).then(function (started) {
+			server = started;
+		});
+	});
+
+	// Errors are logged, by live-server and by connect
+	var consoleError = console.error;
+	beforeEach(function () {
+		console.error = function () { };
+	});
+
+	afterEach(function () {
+		console.error = consoleError;
+	});
+
+	after(function () {
+		return server.instance.shutdown().then(function () {
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+	});
+
+	it('loads the module on the first request', function () {
+		var loaded = nextLoad();
+		return server.request.get('/hello').expect(200, 'hello').then(function () {
+			return loaded;
+		}).then(function (event) {
+			assert.strictEqual(event.file, file);
+			assert.strictEqual(event.error, null);
+		});
+	});
+
+	it('passes other requests on', function () {
+		return server.request.get('/style.css').expect(200);
+	});
+
+	it('reports errors of requests with the URL', function () {
+		var reported = nextLoad();
+		return server.request.get('/throw').expect(500).then(function () {
+			return reported;
+		}).then(function (event) {
+			assert.strictEqual(event.url, '/throw');
+			assert.ok(/broken handler/.test(event.error.message));
+		});
+	});
+
+	it('reloads when a module it requires changes', function () {
+		this.timeout(10000);
+		var reloaded = nextLoad();
+		write(helper, 'module.exports = "hello again";\n');
+		return reloaded.then(function () {
+			return server.request.get('/hello').expect(200, 'hello again');
+		});
+	});
+
+	it('reports a broken module and skips it until it is fixed', function () {
+		this.timeout(10000);
+		var broken = nextLoad();
+		write(file, 'module.exports = ;\n');
+		return broken.then(function (event) {
+			assert.ok(event.error instanceof SyntaxError);
+			return server.request.get('/hello').expect(404);
+		}).then(function () {
+			// Changes right after another one may be merged by the watcher
+			return delay(200);
+		}).then(function () {
+			var fixed = nextLoad();
+			write(file, 'module.exports = function (req, res) { res.end("fixed"); };\n');
+			return fixed;
+		}).then(function (event) {
+			assert.strictEqual(event.error, null);
+			return server.request.get('/hello').expect(200, 'fixed');
+		});
+	});
+});
@@ -0,0 +1,88 @@
+var assert = require('assert');
+var path = require('path');
+var helpers = require('./helpers');
+var compilePath = require('../middleware/mocks').compilePath;
+
+describe('mocks', function () {
+	describe('compilePath', function () {
+		it('captures and decodes parameters of one segment', function () {
+			var matches = compilePath('/api/users/:id/posts/:post');
+			assert.deepStrictEqual(matches('/api/users/a%20b/posts/3'), { id: 'a b', post: '3' });
+			assert.strictEqual(matches('/api/users/1/2/posts/3'), null);
+		});
+
+		it('matches anything for *', function () {
+			assert.deepStrictEqual(compilePath('/api/*')('/api/a/b'), {});
+			assert.strictEqual(compilePath('/api/*')('/other'), null);
+		});
+
+		it('ignores a trailing slash and escapes the rest', function () {
+			assert.deepStrictEqual(compilePath('/api/v1.0/')('/api/v1.0'), {});
+			assert.strictEqual(compilePath('/api/v1.0')('/api/v1x0'), null);
+		});
+	});
+
+	describe('routes', function () {
+		var server;
+
+		before(function () {
+			return helpers.start({ mocks: path.join(helpers.DATA, 'mocks', 'mocks.json') }).then(function (started) {
+				server = started;
+				return loaded();
+			});
+
+			// The mocks file is read in the background
+			function loaded() {
+				return server.request.get('/api/text').then(function (res) {
+					if (res.status === 404) return new Promise(function (resolve) {
+						setTimeout(resolve, 20);
+					}).then(loaded);
+				});
+			}
+		});
+
+		after(function () {
+			return server.instance.shutdown();
+		});
+
+		it('renders parameters and query values into the body', function () {
+			return server.request.get('/api/users/42?page=2')
+				.expect('Content-Type', /application\/json/)
+				.expect(200, { id: '42', page: '2' });
+		});
+
+		it('matches the method and sends status and headers', function () {
+			return server.request.post('/api/users')
+				.expect('Location', '/api/users/7')
+				.expect(201);
+		});
+
+		it('renders text bodies', function () {
+			return server.request.put('/api/text').expect(200, 'PUT /api/text');
+		});
+
+		it('matches wildcards', function () {
+			return server.request.get('/api/legacy/a/b').expect(410);
+		});
+
+		it('sends files relative to the mocks file', function () {
+			return server.request.get('/api/files/user.json').expect(200, { name: 'user.json' });
+		});
+
+		it('refuses files outside the folder of the mocks file', function () {
+			return Promise.all([
+				server.request.get('/api/files/..%2F..%2Fstyle.css').expect(403),
+				server.request.get('/api/files/..%2F..%2F..%2F..%2Fpackage.json').expect(403),
+				server.request.get('/api/files/..').expect(403)
+			]);
+		});
+
+		it('answers 404 for missing files', function () {
+			return server.request.get('/api/files/' + encodeURIComponent(path.join(helpers.DATA, 'style.css'))).expect(404);
+		});
+
+		it('leaves other requests to the static server', function () {
+			return server.request.get('/style.css').expect(200, /color: red/);
+		});
+	});
+});
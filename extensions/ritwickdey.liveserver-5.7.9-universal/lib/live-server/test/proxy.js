@@ -0,0 +1,65 @@
+var assert = require('assert');
+var http = require('http');
+var WebSocket = require('faye-websocket');
+var helpers = require('./helpers');
+
+describe('proxy', function () {
+	var upstream, server;
+
+	before(function (done) {
+		upstream = http.createServer(function (req, res) {
+			res.setHeader('Content-Type', 'application/json');
+			res.end(JSON.stringify({ url: req.url, token: req.headers['x-token'] || null }));
+		});
+		upstream.on('upgrade', function (req, socket, head) {
+			var ws = new WebSocket(req, socket, head);
+			ws.on('message', function (event) {
+				ws.send(req.url + ' ' + event.data);
+			});
+		});
+		upstream.listen(0, '127.0.0.1', done);
+	});
+
+	before(function () {
+		var target = 'http://127.0.0.1:' + upstream.address().port;
+		return helpers.start({
+			proxy: [
+				['/api', target + '/v1'],
+				{ baseUri: '/svc/', proxyUri: target, pathRewrite: { '^/old/': '/new/' }, headers: { 'X-Token': 'secret' } }
+			]
+		}).then(function (started) {
+			server = started;
+		});
+	});
+
+	after(function () {
+		upstream.close();
+		return server.instance.shutdown();
+	});
+
+	it('forwards requests below the base URI of a pair rule', function () {
+		return server.request.get('/api/users?page=2')
+			.expect(200, { url: '/v1/users?page=2', token: null });
+	});
+
+	it('rewrites paths and adds headers of an object rule', function () {
+		return server.request.get('/svc/old/item')
+			.expect(200, { url: '/new/item', token: 'secret' });
+	});
+
+	it('leaves other paths to the static server', function () {
+		return server.request.get('/apis/users').expect(404);
+	});
+
+	it('proxies WebSocket upgrades of the rule', function (done) {
+		var ws = new WebSocket.Client(server.base.replace('http', 'ws') + '/svc/old/socket');
+		ws.on('open', function () {
+			ws.send('ping');
+		});
+		ws.on('message', function (event) {
+			assert.strictEqual(event.data, '/new/socket ping');
+			ws.close();
+			done();
+		});
+	});
+});
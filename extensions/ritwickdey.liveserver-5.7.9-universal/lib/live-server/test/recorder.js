@@ -0,0 +1,160 @@
+var assert = require('assert');
+var http = require('http');
+var url = require('url');
+var request = require('supertest');
+var helpers = require('./helpers');
+var liveServer = require('..');
+var createRecorder = require('../middleware/recorder');
+
+describe('recorder', function () {
+	describe('middleware', function () {
+		var recorder, server, reported;
+
+		// Echoes the request body, or answers with the body of the `send` query as `type`
+		function handler(req, res) {
+			var chunks = [];
+			req.on('data', function (chunk) {
+				chunks.push(chunk);
+			});
+			req.on('end', function () {
+				var query = url.parse(req.url, true).query;
+				res.setHeader('Content-Type', query.type || 'text/plain');
+				res.end(query.send ? Buffer.from(query.send, 'hex') : Buffer.concat(chunks));
+			});
+		}
+
+		before(function (done) {
+			reported = [];
+			recorder = createRecorder({
+				maxBodySize: 16,
+				onRequest: function (event) {
+					reported.push(event);
+				}
+			});
+			server = http.createServer(function (req, res) {
+				recorder(req, res, function () {
+					handler(req, res);
+				});
+			}).listen(0, '127.0.0.1', done);
+		});
+
+		beforeEach(function () {
+			reported.length = 0;
+			recorder.start();
+		});
+
+		after(function (done) {
+			server.close(done);
+		});
+
+		function finished() {
+			// The entry is added once the response is finished on the server
+			return new Promise(function (resolve) {
+				setImmediate(resolve);
+			});
+		}
+
+		it('records requests and responses with their bodies', function () {
+			return request(server).post('/echo?a=1&a=2').set('Content-Type', 'application/json').send('{"x":1}').expect(200)
+				.then(finished).then(function () {
+					var entries = recorder.entries();
+					assert.strictEqual(entries.length, 1);
+					var entry = entries[0];
+					assert.strictEqual(entry.request.method, 'POST');
+					assert.ok(/^http:\/\/127\.0\.0\.1:\d+\/echo\?a=1&a=2$/.test(entry.request.url), entry.request.url);
+					assert.deepStrictEqual(entry.request.queryString, [{ name: 'a', value: '1' }, { name: 'a', value: '2' }]);
+					assert.deepStrictEqual(entry.request.postData, { mimeType: 'application/json', text: '{"x":1}' });
+					assert.strictEqual(entry.response.status, 200);
+					assert.strictEqual(entry.response.statusText, 'OK');
+					assert.deepStrictEqual(entry.response.content, { size: 7, mimeType: 'text/plain', text: '{"x":1}' });
+					assert.ok(entry.response.headers.some(function (header) {
+						return header.name === 'content-type' && header.value === 'text/plain';
+					}));
+					assert.ok(entry.timings.wait >= 0 && entry.time >= entry.timings.wait);
+				});
+		});
+
+		it('records binary bodies as base64 and large bodies by size only', function () {
+			return request(server).get('/?send=89504e47&type=image/png').expect(200).then(function () {
+				return request(server).post('/').send('0123456789abcdefghij').expect(200);
+			}).then(finished).then(function () {
+				var entries = recorder.entries();
+				assert.deepStrictEqual(entries[0].response.content, { size: 4, mimeType: 'image/png', text: 'iVBORw==', encoding: 'base64' });
+				assert.strictEqual(entries[1].request.bodySize, 20);
+				assert.strictEqual(entries[1].request.postData.text, undefined);
+				assert.ok(/larger than the limit of 16 bytes/.test(entries[1].response.content.comment));
+				assert.strictEqual(entries[1].response.content.size, 20);
+			});
+		});
+
+		it('reports every request but only records while recording', function () {
+			recorder.stop();
+			return request(server).get('/?send=6f6b').expect(200, 'ok').then(finished).then(function () {
+				assert.strictEqual(recorder.isRecording(), false);
+				assert.strictEqual(recorder.entries().length, 0);
+				assert.strictEqual(reported.length, 1);
+				assert.strictEqual(reported[0].method, 'GET');
+				assert.strictEqual(reported[0].url, '/?send=6f6b');
+				assert.strictEqual(reported[0].status, 200);
+				assert.strictEqual(reported[0].size, 2);
+			});
+		});
+
+		it('drops the entries of an earlier recording when started again', function () {
+			return request(server).get('/').expect(200).then(finished).then(function () {
+				recorder.stop();
+				assert.strictEqual(recorder.entries().length, 1);
+				recorder.start();
+				assert.strictEqual(recorder.entries().length, 0);
+			});
+		});
+	});
+
+	describe('toHar', function () {
+		it('sorts the entries of several servers by their start', function () {
+			var later = { startedDateTime: '2024-01-01T00:00:02.000Z' };
+			var earlier = { startedDateTime: '2024-01-01T00:00:01.000Z' };
+			var har = createRecorder.toHar([later, earlier], { name: 'test', version: '1.0' });
+			assert.deepStrictEqual(har, { log: { version: '1.2', creator: { name: 'test', version: '1.0' }, entries: [earlier, later] } });
+		});
+
+		it('names live-server as the creator by default', function () {
+			var har = liveServer.toHar([]);
+			assert.strictEqual(har.log.creator.name, 'live-server');
+			assert.strictEqual(har.log.creator.version, require('../package.json').version);
+		});
+	});
+
+	describe('server', function () {
+		var server;
+
+		before(function () {
+			return helpers.start({}).then(function (started) {
+				server = started;
+			});
+		});
+
+		after(function () {
+			return server.instance.shutdown();
+		});
+
+		it('records pages as they were sent', function () {
+			var requests = [];
+			server.instance.on('request', function (event) {
+				requests.push(event.url);
+			});
+			server.instance.startRecording();
+			return server.request.get('/index.html').expect(200).then(function () {
+				return server.request.get('/missing.html').expect(404);
+			}).then(function () {
+				server.instance.stopRecording();
+				var entries = server.instance.getRecording();
+				assert.deepStrictEqual(entries.map(function (entry) {
+					return entry.response.status;
+				}), [200, 404]);
+				assert.ok(entries[0].response.content.text.indexOf('<!-- Code injected by live-server -->') > -1);
+				assert.deepStrictEqual(requests, ['/index.html', '/missing.html']);
+			});
+		});
+	});
+});
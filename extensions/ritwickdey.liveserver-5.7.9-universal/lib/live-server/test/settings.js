@@ -0,0 +1,217 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var readSettings = require('../settings');
+var parseArgs = require('../live-server').parseArgs;
+
+var folders = [];
+
+function workspace(files) {
+	var folder = fs.mkdtempSync(path.join(os.tmpdir(), 'live-server-settings-'));
+	folders.push(folder);
+	Object.keys(files).forEach(function (name) {
+		var file = path.join(folder, name);
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(file, typeof files[name] === 'string' ? files[name] : JSON.stringify(files[name]));
+	});
+	return folder;
+}
+
+describe('settings', function () {
+	after(function () {
+		folders.forEach(function (folder) {
+			fs.rmSync(folder, { recursive: true, force: true });
+		});
+	});
+
+	describe('parseArgs', function () {
+		it('turns flags into settings', function () {
+			var parsed = parseArgs(['site', '--port=8080', '--mount=/a:./x', '--mount=/b:./y', '--proxy=/api:http://127.0.0.1:3000/api',
+				'--ignore=*.scss,*.ts', '--no-browser', '--profile=ci']);
+			assert.strictEqual(parsed.folder, 'site');
+			assert.strictEqual(parsed.profile, 'ci');
+			assert.deepStrictEqual(parsed.settings, {
+				port: 8080,
+				mount: [['/a', './x'], ['/b', './y']],
+				proxy: [{ baseUri: '/api', proxyUri: 'http://127.0.0.1:3000/api' }],
+				ignoreFiles: ['*.scss', '*.ts'],
+				NoBrowser: true
+			});
+		});
+
+		it('keeps the flags which change part of a setting apart', function () {
+			var parsed = parseArgs(['--cert=c.pem', '--key=k.pem', '--htpasswd=.htpasswd', '--spa', '--no-profile', '--json']);
+			assert.deepStrictEqual(parsed.https, { enable: true, cert: 'c.pem', key: 'k.pem' });
+			assert.strictEqual(parsed.htpasswd, '.htpasswd');
+			assert.strictEqual(parsed.spa, 'index.html');
+			assert.strictEqual(parsed.profile, null);
+			assert.strictEqual(parsed.logLevel, 0);
+		});
+
+		it('rejects unknown options, missing values and bad numbers', function () {
+			assert.throws(function () { parseArgs(['--nope']); }, /Unknown option "--nope"/);
+			assert.throws(function () { parseArgs(['--port']); }, /--port needs a value/);
+			assert.throws(function () { parseArgs(['--port=http']); }, /--port needs a number/);
+			assert.throws(function () { parseArgs(['--mount=nowhere']); }, /--mount needs ROUTE:TARGET/);
+			assert.throws(function () { parseArgs(['a', 'b']); }, /Only one folder/);
+		});
+	});
+
+	describe('parseJsonc', function () {
+		it('reads comments and trailing commas but not inside strings', function () {
+			var text = '{\n\t// "port": 1,\n\t"root": "/a,}//b", /* c */\n\t"mount": [1, 2,],\n}';
+			assert.deepStrictEqual(readSettings.parseJsonc('\uFEFF' + text), { root: '/a,}//b', mount: [1, 2] });
+		});
+
+		it('keeps the offsets of the text', function () {
+			var text = '{\n\t/* a\n\tcomment */ "port": 80,\n}';
+			var stripped = readSettings.stripJsonc(text);
+			assert.strictEqual(stripped.length, text.length);
+			assert.strictEqual(stripped.indexOf('"port"'), text.indexOf('"port"'));
+			assert.strictEqual(stripped.split('\n').length, text.split('\n').length);
+			assert.throws(function () {
+				readSettings.parseJsonc('{ /* a */ "port" 80 }');
+			}, /position 17/);
+		});
+	});
+
+	describe('profiles', function () {
+		var warn, warnings;
+
+		beforeEach(function () {
+			warnings = [];
+			warn = console.warn;
+			console.warn = function (message) {
+				warnings.push(message);
+			};
+		});
+
+		afterEach(function () {
+			console.warn = warn;
+			delete process.env.LIVE_SERVER_TEST_PORT;
+		});
+
+		it('applies the default profile over .vscode/settings.json and the defaults', function () {
+			var folder = workspace({
+				'.vscode/settings.json': '{\n\t// comment\n\t"liveServer.settings.wait": 300,\n\t"liveServer.settings.root": "/",\n}',
+				'.liveserverrc.json': { default: 'dev', profiles: { base: { root: '/public' }, dev: { extends: 'base', fullReload: true } } }
+			});
+			var read = readSettings(folder);
+			assert.strictEqual(read.profile, 'dev');
+			assert.strictEqual(read.settings.wait, 300);
+			assert.strictEqual(read.settings.root, '/public');
+			assert.strictEqual(read.settings.fullReload, true);
+			assert.strictEqual(read.settings.port, 5500);
+			assert.strictEqual(readSettings(folder, null).settings.root, '/');
+		});
+
+		it('replaces variables and coerces them to the type of the setting', function () {
+			process.env.LIVE_SERVER_TEST_PORT = '8123';
+			var folder = workspace({
+				'.liveserverrc.json': { profiles: { ci: { port: '${env:LIVE_SERVER_TEST_PORT}', mocks: '${workspaceFolder}/mocks.json' } } }
+			});
+			var settings = readSettings(folder, 'ci').settings;
+			assert.strictEqual(settings.port, 8123);
+			assert.strictEqual(settings.mocks, folder + '/mocks.json');
+		});
+
+		it('throws for settings of the wrong type', function () {
+			var folder = workspace({ '.liveserverrc.json': { profiles: { ci: { port: 'eighty' } } } });
+			assert.throws(function () { readSettings(folder, 'ci'); }, /'port' of profile 'ci' must be of type number/);
+		});
+
+		it('throws for unknown profiles and cycles', function () {
+			var folder = workspace({ '.liveserverrc.json': { profiles: { a: { extends: 'b' }, b: { extends: 'a' } } } });
+			assert.throws(function () { readSettings(folder, 'c'); }, /Unknown profile "c".*Profiles: a, b/);
+			assert.throws(function () { readSettings(folder, 'a'); }, /extends itself: a -> b -> a/);
+		});
+
+		it('warns about unknown settings and unset variables', function () {
+			var folder = workspace({ '.liveserverrc.json': { profiles: { ci: { prot: 80, file: '${env:LIVE_SERVER_TEST_UNSET}' } } } });
+			var settings = readSettings(folder, 'ci').settings;
+			assert.strictEqual(settings.prot, undefined);
+			assert.strictEqual(settings.file, '');
+			assert.strictEqual(warnings.length, 2);
+			assert.ok(/Unknown setting 'prot'/.test(warnings[0]), warnings[0]);
+			assert.ok(/'LIVE_SERVER_TEST_UNSET' is not set/.test(warnings[1]), warnings[1]);
+		});
+
+		it('reports the problems of a profile with their place and severity', function () {
+			var problems = [];
+			var settings = readSettings.resolveProfile({ ci: { extends: 'missing', wait: true } }, 'ci', '/ws', function (message, anchor, severity) {
+				problems.push([anchor.join('.'), severity]);
+			});
+			assert.strictEqual(settings, null);
+			assert.deepStrictEqual(problems, [['profiles.ci.extends', 'error'], ['profiles.ci.wait', 'error']]);
+		});
+	});
+
+	describe('toOptions', function () {
+		var folder;
+
+		before(function () {
+			folder = workspace({ 'public/index.html': '<p>hi</p>' });
+		});
+
+		it('resolves the paths of the settings against the workspace folder', function () {
+			var settings = { root: '/public', mount: [['/lib', './node_modules']], middleware: ['log.js'], ignoreFiles: ['dist/**', '**/*.ts'] };
+			var options = readSettings.toOptions(settings, folder);
+			assert.strictEqual(options.root, path.join(folder, 'public') + path.sep);
+			assert.deepStrictEqual(options.mount, [['/lib', path.join(folder, 'node_modules')]]);
+			assert.deepStrictEqual(settings.mount, [['/lib', './node_modules']]);
+			assert.deepStrictEqual(options.middleware, [path.join(folder, 'log.js')]);
+			assert.deepStrictEqual(options.ignore, [path.join(folder, 'dist/**'), '**/*.ts']);
+			assert.strictEqual(options.open, '');
+		});
+
+		it('keeps a wait of 0 and defaults a missing one', function () {
+			assert.strictEqual(readSettings.toOptions({ wait: 0 }, folder).wait, 0);
+			assert.strictEqual(readSettings.toOptions({}, folder).wait, 100);
+		});
+
+		it('serves the workspace folder if the root does not exist', function () {
+			assert.strictEqual(readSettings.rootPathOf('/missing', folder).isNotOkay, true);
+			assert.strictEqual(readSettings.toOptions({ root: '/missing' }, folder).root, folder + path.sep);
+		});
+
+		it('keeps the enabled proxy rules', function () {
+			var options = readSettings.toOptions({
+				proxy: [
+					{ baseUri: '/api', proxyUri: 'http://127.0.0.1:3000/api', headers: { 'X-Test': '1' } },
+					{ enable: false, baseUri: '/old', proxyUri: 'http://127.0.0.1:3001' }
+				]
+			}, folder);
+			assert.deepStrictEqual(options.proxy, [{
+				baseUri: '/api', proxyUri: 'http://127.0.0.1:3000/api', pathRewrite: undefined, headers: { 'X-Test': '1' }, wsUri: undefined
+			}]);
+			assert.deepStrictEqual(readSettings.toOptions({ proxy: { enable: true, baseUri: '/', proxyUri: 'http://x' } }, folder).proxy, [['/', 'http://x']]);
+			assert.strictEqual(readSettings.toOptions({ proxy: { enable: false } }, folder).proxy, null);
+		});
+
+		it('asks the certificate hook for the https "auto" certificate', function () {
+			var asked;
+			var options = readSettings.toOptions({ https: { enable: 'auto' }, host: 'dev.local' }, folder, {
+				certificate: function (hosts) {
+					asked = hosts;
+					return { cert: 'CERT', key: 'KEY' };
+				}
+			});
+			assert.deepStrictEqual(options.https, { cert: 'CERT', key: 'KEY' });
+			assert.deepStrictEqual(asked.slice(0, 3), ['localhost', '127.0.0.1', '::1']);
+			assert.strictEqual(asked[asked.length - 1], 'dev.local');
+			assert.throws(function () {
+				readSettings.toOptions({ https: { enable: 'auto' } }, folder);
+			}, /needs a certificate authority/);
+		});
+
+		it('explains https files which can not be read', function () {
+			assert.throws(function () {
+				readSettings.toOptions({ https: { enable: true, cert: 'missing.pem', key: 'missing.key' } }, folder);
+			}, /Can't read liveServer.settings.https.cert file '.*missing.pem' : file not found/);
+			assert.throws(function () {
+				readSettings.toOptions({ https: { enable: true } }, folder);
+			}, /liveServer.settings.https.cert is empty/);
+		});
+	});
+});
@@ -0,0 +1,60 @@
+var request = require('supertest');
+var path = require('path');
+var liveServer = require('..');
+
+describe('spa', function () {
+	var instance, server;
+
+	before(function () {
+		instance = liveServer.start({
+			root: path.join(__dirname, 'data'),
+			port: 0,
+			open: false,
+			logLevel: 0,
+			spa: { exclude: ['/api'] }
+		});
+		return instance.listening.then(function () {
+			server = request('http://127.0.0.1:' + instance.address().port);
+		});
+	});
+
+	after(function () {
+		return instance.shutdown();
+	});
+
+	it('serves existing files as they are', function () {
+		return server.get('/style.css')
+			.expect('Content-Type', /text\/css/)
+			.expect(200, /color: red/);
+	});
+
+	it('serves the entry file with the reload script for client-side routes', function () {
+		return server.get('/shop/cart')
+			.set('Accept', 'text/html')
+			.expect('Content-Type', /text\/html/)
+			.expect(200, /<h1>Index<\/h1>[\s\S]*live-server/);
+	});
+
+	it('falls back for paths without an extension', function () {
+		return server.get('/users/42')
+			.expect(200, /<h1>Index<\/h1>/);
+	});
+
+	it('keeps 404 for missing assets', function () {
+		return server.get('/img/logo.png')
+			.set('Accept', 'image/*')
+			.expect(404);
+	});
+
+	it('keeps 404 for excluded paths', function () {
+		return server.get('/api/users')
+			.set('Accept', 'text/html')
+			.expect(404);
+	});
+
+	it('only falls back for GET and HEAD', function () {
+		return server.post('/shop/cart')
+			.set('Accept', 'text/html')
+			.expect(405);
+	});
+});
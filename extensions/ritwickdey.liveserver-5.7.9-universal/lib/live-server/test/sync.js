@@ -0,0 +1,61 @@
+var assert = require('assert');
+var helpers = require('./helpers');
+
+describe('browser sync', function () {
+	var server, first, second, other;
+
+	before(function () {
+		return helpers.start().then(function (started) {
+			server = started;
+			return Promise.all([
+				helpers.connect(server.base, '/index.html'),
+				helpers.connect(server.base, '/index.html'),
+				helpers.connect(server.base, '/sub/index.html')
+			]);
+		}).then(function (clients) {
+			first = clients[0];
+			second = clients[1];
+			other = clients[2];
+		});
+	});
+
+	after(function () {
+		return Promise.all([first.close(), second.close(), other.close()]).then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('does not relay events while it is off', function () {
+		first.send({ command: 'sync', event: { type: 'click', selector: 'h1' } });
+		return Promise.all([second.none(100), other.none(0)]);
+	});
+
+	it('tells every page when it is turned on', function () {
+		server.instance.setSync(true);
+		return Promise.all([first.next(), second.next(), other.next()]).then(function (messages) {
+			messages.forEach(function (message) {
+				assert.deepStrictEqual(message, { command: 'sync', enabled: true });
+			});
+		});
+	});
+
+	it('relays events to the other browsers showing the same page', function () {
+		var event = { type: 'scroll', x: 0, y: 0.5 };
+		first.send({ command: 'sync', event: event });
+		return Promise.all([second.next(), first.none(100), other.none(0)]).then(function (messages) {
+			assert.deepStrictEqual(messages[0], { command: 'syncevent', event: event });
+		});
+	});
+
+	it('follows pages to where client-side routing took them', function () {
+		var event = { type: 'click', selector: 'h1' };
+		other.send({ command: 'location', url: server.base + '/index.html' });
+		second.send({ command: 'location', url: server.base + '/sub/index.html#top' });
+		return second.none(100).then(function () {
+			first.send({ command: 'sync', event: event });
+			return Promise.all([other.next(), second.none(100)]);
+		}).then(function (messages) {
+			assert.deepStrictEqual(messages[0], { command: 'syncevent', event: event });
+		});
+	});
+});
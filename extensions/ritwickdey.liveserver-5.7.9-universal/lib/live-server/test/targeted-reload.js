@@ -0,0 +1,63 @@
+var assert = require('assert');
+var path = require('path');
+var helpers = require('./helpers');
+
+describe('targeted reload', function () {
+	var server, index, sub, unknown;
+
+	before(function () {
+		return helpers.start({ targetedReload: true }).then(function (started) {
+			server = started;
+			return Promise.all([
+				server.request.get('/index.html').expect(200),
+				server.request.get('/style.css').set('Referer', server.base + '/index.html').expect(200),
+				server.request.get('/sub/index.html').expect(200)
+			]);
+		}).then(function () {
+			return Promise.all([
+				helpers.connect(server.base, '/index.html'),
+				helpers.connect(server.base, '/sub/index.html'),
+				helpers.connect(server.base, '/never-requested')
+			]);
+		}).then(function (clients) {
+			index = clients[0];
+			sub = clients[1];
+			unknown = clients[2];
+		});
+	});
+
+	after(function () {
+		return Promise.all([index.close(), sub.close(), unknown.close()]).then(function () {
+			return server.instance.shutdown();
+		});
+	});
+
+	it('updates the pages which requested the file and pages it knows nothing about', function () {
+		server.instance.reload([path.join(helpers.DATA, 'style.css')]);
+		return Promise.all([index.next(), unknown.next(), sub.none(100)]).then(function (messages) {
+			assert.deepStrictEqual(messages.slice(0, 2), ['refreshcss', 'refreshcss']);
+		});
+	});
+
+	it('reloads every page for files which were never served', function () {
+		server.instance.reload([path.join(helpers.DATA, 'app.js')]);
+		return Promise.all([index.next(), sub.next(), unknown.next()]).then(function (messages) {
+			assert.deepStrictEqual(messages, ['reload', 'reload', 'reload']);
+		});
+	});
+
+	it('forgets the least recently requested URLs over the limit', function () {
+		var instance = server.instance;
+		instance.trackLimit = 2;
+		return server.request.get('/icon.svg').set('Referer', server.base + '/sub/index.html').expect(200).then(function () {
+			assert.deepStrictEqual(Array.from(instance.servedFiles.keys()), ['/sub/index.html', '/icon.svg']);
+			assert.deepStrictEqual(Array.from(instance.requestsByPage.keys()), ['/index.html', '/sub/index.html']);
+			// Pages and files it forgot about are updated like unknown ones
+			instance.reload([path.join(helpers.DATA, 'style.css')]);
+			return Promise.all([index.next(), sub.next(), unknown.next()]);
+		}).then(function (messages) {
+			assert.deepStrictEqual(messages, ['refreshcss', 'refreshcss', 'refreshcss']);
+			instance.trackLimit = 1000;
+		});
+	});
+});
@@ -0,0 +1,99 @@
+var assert = require('assert');
+var http = require('http');
+var helpers = require('./helpers');
+var createThrottle = require('../middleware/throttle');
+
+function timed(request) {
+	var started = Date.now();
+	return request.then(function (res) {
+		res.time = Date.now() - started;
+		return res;
+	});
+}
+
+describe('throttle', function () {
+	var server;
+
+	before(function () {
+		return helpers.start({ throttle: { latency: 150 } }).then(function (started) {
+			server = started;
+		});
+	});
+
+	after(function () {
+		return server.instance.shutdown();
+	});
+
+	it('adds latency to requests', function () {
+		return timed(server.request.get('/style.css').expect(200, 'body { color: red; }\n')).then(function (res) {
+			assert.ok(res.time >= 140, res.time + ' ms');
+		});
+	});
+
+	it('caps the download rate without changing the body', function () {
+		// 100 bytes per second, 21 bytes take about 200 ms
+		server.instance.setThrottle({ downloadKbps: 0.8 });
+		return timed(server.request.get('/style.css').expect(200, 'body { color: red; }\n')).then(function (res) {
+			assert.ok(res.time >= 150, res.time + ' ms');
+		});
+	});
+
+	it('answers matching requests with the status of a failure rule', function () {
+		server.instance.setThrottle({ failures: [{ path: '*.css', status: 503 }] });
+		return server.request.get('/style.css').expect(503).then(function (res) {
+			assert.ok(res.text.indexOf('simulated by Live Server') > -1);
+			return server.request.get('/index.html').expect(200);
+		});
+	});
+
+	it('drops the connection of failing requests without a status', function () {
+		server.instance.setThrottle('offline');
+		return server.request.get('/index.html').then(function () {
+			assert.fail('Expected the connection to be dropped');
+		}, function (err) {
+			assert.ok(/socket hang up|ECONNRESET/.test(err.message), err.message);
+		});
+	});
+
+	it('can be turned off', function () {
+		server.instance.setThrottle(null);
+		return server.request.get('/index.html').expect(200);
+	});
+
+	it('rejects unknown profiles', function () {
+		assert.throws(function () {
+			createThrottle('2g');
+		}, /Unknown network profile "2g"/);
+	});
+});
+
+describe('throttle of requests given up during the latency', function () {
+	var handled = 0, httpServer;
+
+	before(function (done) {
+		var throttle = createThrottle({ latency: 100 });
+		httpServer = http.createServer(function (req, res) {
+			throttle(req, res, function () {
+				handled++;
+				res.end();
+			});
+		}).listen(0, '127.0.0.1', done);
+	});
+
+	after(function (done) {
+		httpServer.close(done);
+	});
+
+	it('does not handle them', function () {
+		var req = http.get({ host: '127.0.0.1', port: httpServer.address().port, path: '/' });
+		req.on('error', function () { });
+		setTimeout(function () {
+			req.destroy();
+		}, 20);
+		return new Promise(function (resolve) {
+			setTimeout(resolve, 200);
+		}).then(function () {
+			assert.strictEqual(handled, 0);
+		});
+	});
+});
@@ -0,0 +1,140 @@
+'use strict';
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ClientsTreeProvider = exports.CLIENTS_VIEW = void 0;
+const vscode_1 = require("vscode");
+const Helper_1 = require("./Helper");
+exports.CLIENTS_VIEW = 'liveServer.clients';
+/**
+ * The "Live Server" view: running servers, the pages connected to each of them and details of every page.
+ * Elements are `{ kind: 'server', server }`, `{ kind: 'client', server, client }` and `{ kind: 'detail', label, value }`,
+ * where `client` is an entry of `getClients()` of the live-server instance.
+ */
+class ClientsTreeProvider {
+    constructor(appModel) {
+        this.appModel = appModel;
+        this.changeEvent = new vscode_1.EventEmitter();
+        this.disposables = [
+            appModel.onDidStartServer(server => {
+                server.instance.on('client', () => this.refresh());
+                this.refresh();
+            }),
+            appModel.onDidStopServer(() => this.refresh())
+        ];
+    }
+    get onDidChangeTreeData() {
+        return this.changeEvent.event;
+    }
+    refresh() {
+        this.changeEvent.fire(undefined);
+    }
+    getChildren(element) {
+        if (!element) {
+            return [...this.appModel.servers.values()].map(server => ({ kind: 'server', server }));
+        }
+        if (element.kind === 'server') {
+            const clients = element.server.instance.getClients();
+            if (!clients.length)
+                return [{ kind: 'detail', label: 'No pages connected', value: '' }];
+            return clients.map(client => ({ kind: 'client', server: element.server, client }));
+        }
+        if (element.kind === 'client') {
+            const client = element.client;
+            const viewport = client.viewport;
+            return [
+                ['Page', client.url || client.page],
+                ['Title', client.title],
+                ['Viewport', viewport && `${viewport.width} × ${viewport.height}${viewport.pixelRatio !== 1 ? ` @${viewport.pixelRatio}x` : ''}`],
+                ['Address', (client.address || '').replace(/^::ffff:/, '')],
+                ['User agent', client.userAgent],
+                ['Connected', new Date(client.connectedAt).toLocaleTimeString()]
+            ].filter(([, value]) => value).map(([label, value]) => ({ kind: 'detail', label, value }));
+        }
+        return [];
+    }
+    getTreeItem(element) {
+        if (element.kind === 'server') {
+            const server = element.server;
+            const count = server.instance.getClients().length;
+            const item = new vscode_1.TreeItem(server.name, vscode_1.TreeItemCollapsibleState.Expanded);
+            item.id = `server:${server.port}`;
+            item.description = `${this.appModel.getServerUrl(server.port)} · ${count} page${count === 1 ? '' : 's'}`;
+            item.tooltip = server.exposure;
+            item.iconPath = new vscode_1.ThemeIcon('broadcast');
+            item.contextValue = 'server';
+            return item;
+        }
+        if (element.kind === 'client') {
+            const client = element.client;
+            const item = new vscode_1.TreeItem(Helper_1.Helper.describeClient(client), vscode_1.TreeItemCollapsibleState.Collapsed);
+            item.id = `client:${element.server.port}:${client.id}`;
+            item.description = ClientsTreeProvider.describePage(client);
+            item.tooltip = [client.title, client.url || client.page].filter(Boolean).join('\n');
+            item.iconPath = new vscode_1.ThemeIcon(/iPhone|iPad|Android/.test(client.userAgent || '') ? 'device-mobile' : 'browser');
+            item.contextValue = 'client';
+            return item;
+        }
+        const item = new vscode_1.TreeItem(element.label, vscode_1.TreeItemCollapsibleState.None);
+        item.description = element.value;
+        item.tooltip = element.value;
+        return item;
+    }
+    /**
+     * Path, query and hash of the page, e.g. `/shop/cart.html#step-2`
+     */
+    static describePage(client) {
+        if (!client.url)
+            return client.page;
+        try {
+            const url = new URL(client.url);
+            return url.pathname + url.search + url.hash;
+        }
+        catch (err) {
+            return client.url;
+        }
+    }
+    Reload(element) {
+        if (!element || element.kind !== 'client')
+            return;
+        if (!element.server.instance.reloadClient(element.client.id))
+            this.notConnected(element);
+    }
+    Navigate(element) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!element || element.kind !== 'client')
+                return;
+            const url = yield vscode_1.window.showInputBox({
+                prompt: `URL to open in ${Helper_1.Helper.describeClient(element.client)}, relative to its page`,
+                value: element.client.url || element.client.page
+            });
+            if (!url)
+                return;
+            if (!element.server.instance.navigateClient(element.client.id, url))
+                this.notConnected(element);
+        });
+    }
+    Disconnect(element) {
+        if (!element || element.kind !== 'client')
+            return;
+        if (!element.server.instance.disconnectClient(element.client.id))
+            this.notConnected(element);
+    }
+    notConnected(element) {
+        vscode_1.window.showInformationMessage(`${Helper_1.Helper.describeClient(element.client)} is no longer connected.`);
+        this.refresh();
+    }
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.changeEvent.dispose();
+    }
+}
+exports.ClientsTreeProvider = ClientsTreeProvider;
+//# sourceMappingURL=ClientsTreeProvider.js.map
@@ -4,11 +4,30 @@ exports.Config = void 0;
 const vscode_1 = require("vscode");
 class Config {
     static get configuration() {
-        return vscode_1.workspace.getConfiguration('liveServer.settings');
+        return vscode_1.workspace.getConfiguration('liveServer.settings', Config.resource);
     }
     static getSettings(val) {
+        if (Config.overrides && Object.prototype.hasOwnProperty.call(Config.overrides, val))
+            return Config.overrides[val];
         return Config.configuration.get(val);
     }
+    /**
+     * Runs `fn` with the settings of the workspace folder of `resourcePath` (a folder or a file in it),
+     * which multi-root workspaces can set per folder, and with `overrides` (setting name -> value,
+     * e.g. of a launch profile) taking precedence over the configuration.
+     */
+    static withFolder(resourcePath, overrides, fn) {
+        const previous = { resource: Config.resource, overrides: Config.overrides };
+        Config.resource = resourcePath ? vscode_1.Uri.file(resourcePath) : previous.resource;
+        Config.overrides = overrides ? Object.assign({}, previous.overrides, overrides) : previous.overrides;
+        try {
+            return fn();
+        }
+        finally {
+            Config.resource = previous.resource;
+            Config.overrides = previous.overrides;
+        }
+    }
     static setSettings(key, val, isGlobal = false) {
         return Config.configuration.update(key, val, isGlobal);
     }
@@ -18,12 +37,6 @@ class Config {
     static get getLocalIp() {
         return Config.getSettings('useLocalIp');
     }
-    static get getPort() {
-        return Config.getSettings('port');
-    }
-    static setPort(port) {
-        return Config.setSettings('port', port);
-    }
     static get getRoot() {
         return Config.getSettings('root');
     }
@@ -39,9 +52,6 @@ class Config {
     static get getCustomBrowser() {
         return Config.getSettings('CustomBrowser');
     }
-    static get getIgnoreFiles() {
-        return Config.getSettings('ignoreFiles');
-    }
     static get getDonotShowInfoMsg() {
         return Config.getSettings('donotShowInfoMsg');
     }
@@ -54,30 +64,30 @@ class Config {
     static setDonotVerifyTags(val, isGlobal = false) {
         Config.configuration.update('donotVerifyTags', val, isGlobal);
     }
-    static get getUseWebExt() {
-        return Config.getSettings('useWebExt') || false;
-    }
-    static get getProxy() {
-        return Config.getSettings('proxy');
-    }
     static get getHttps() {
         return Config.getSettings('https') || {};
     }
-    static get getWait() {
-        return Config.getSettings('wait');
+    static get getSync() {
+        return Config.getSettings('sync');
+    }
+    static get getAccessControl() {
+        return Config.getSettings('accessControl') || {};
+    }
+    static get getThrottle() {
+        return Config.getSettings('throttle') || {};
     }
-    static get getfullReload() {
-        return Config.getSettings('fullReload');
+    static get getLiveTyping() {
+        return Config.getSettings('liveTyping') || {};
     }
-    static get getMount() {
-        return Config.getSettings('mount');
+    static get getMarkdown() {
+        return Config.getSettings('markdown') || {};
+    }
+    static get getRequestLog() {
+        return Config.getSettings('requestLog') || false;
     }
     static get getShowOnStatusbar() {
         return Config.getSettings('showOnStatusbar') || false;
     }
-    static get getFile() {
-        return Config.getSettings('file');
-    }
     static get getMultiRootWorkspaceName() {
         return Config.getSettings('multiRootWorkspaceName');
     }
@@ -86,4 +96,6 @@ class Config {
     }
 }
 exports.Config = Config;
+Config.resource = undefined;
+Config.overrides = null;
 //# sourceMappingURL=Config.js.map
\ No newline at end of file
@@ -23,37 +23,21 @@ var __importStar = (this && this.__importStar) || function (mod) {
     return result;
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.Helper = exports.isRelativePath = exports.SUPPORTED_EXT = void 0;
-const fs = __importStar(require("fs"));
+exports.Helper = exports.MARKDOWN_EXT = exports.SUPPORTED_EXT = void 0;
 const path = __importStar(require("path"));
 const Config_1 = require("./Config");
+const HttpsHelper_1 = require("./HttpsHelper");
+const LiveServerSettings = require("live-server/settings");
 exports.SUPPORTED_EXT = [
     '.html', '.htm', '.svg'
 ];
-const isRelativePath = (pathUrl) => {
-    if (pathUrl.startsWith('*'))
-        return false;
-    return !path.isAbsolute(pathUrl);
-};
-exports.isRelativePath = isRelativePath;
+/** Rendered as HTML pages while `liveServer.settings.markdown.enable` is on. */
+exports.MARKDOWN_EXT = [
+    '.md', '.markdown'
+];
 class Helper {
     static testPathWithRoot(workSpacePath) {
-        let rootPath;
-        // Test the path is actually exists or not
-        const testPath = path.join(workSpacePath, Config_1.Config.getRoot);
-        let isNotOkay = !fs.existsSync(testPath);
-        if (!isNotOkay) { // means okay :)
-            rootPath = testPath;
-        }
-        else {
-            rootPath = workSpacePath;
-        }
-        if (!rootPath.endsWith(path.sep))
-            rootPath = rootPath + path.sep;
-        return {
-            isNotOkay,
-            rootPath
-        };
+        return LiveServerSettings.rootPathOf(Config_1.Config.getRoot, workSpacePath);
     }
     /**
      * This function return the remaining path from root to target.
@@ -74,80 +58,83 @@ class Helper {
      * @param file: can be path/subpath/file.ts or file.ts
      */
     static IsSupportedFile(file) {
-        let ext = path.extname(file) || (file.startsWith('.') ? file : `.${file}`);
-        return exports.SUPPORTED_EXT.indexOf(ext.toLowerCase()) > -1;
+        let ext = (path.extname(file) || (file.startsWith('.') ? file : `.${file}`)).toLowerCase();
+        if (exports.SUPPORTED_EXT.indexOf(ext) > -1)
+            return true;
+        const markdown = Config_1.Config.withFolder(path.isAbsolute(file) ? file : null, null, () => Config_1.Config.getMarkdown);
+        return markdown.enable === true && exports.MARKDOWN_EXT.indexOf(ext) > -1;
     }
     /**
-     *
-     * @param rootPath
+     * Short human readable name of a connected browser, e.g. `Chrome on Android #3 (192.168.1.20)`.
+     * @param client `clientInfo` of a live-server WebSocket client
+     */
+    static describeClient(client) {
+        const userAgent = client.userAgent || '';
+        const browsers = [['Edg', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['FxiOS/', 'Firefox'],
+            ['CriOS/', 'Chrome'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const browser = browsers.find(([token]) => userAgent.indexOf(token) > -1);
+        const device = /iPhone|iPad|Android/.exec(userAgent);
+        const address = (client.address || '').replace(/^::ffff:/, '');
+        return `${browser ? browser[1] : 'Browser'}${device ? ' on ' + device[0] : ''} #${client.id} (${address})`;
+    }
+    /**
+     * Options of live-server for the settings in effect, built by live-server itself so that its command line
+     * starts the same server from the same settings.
      * @param workspacePath
      * @param onTagMissedCallback
      */
-    static generateParams(rootPath, workspacePath, onTagMissedCallback) {
+    static generateParams(workspacePath, onTagMissedCallback) {
         workspacePath = workspacePath || '';
-        const port = Config_1.Config.getPort;
-        const ignorePathGlob = Config_1.Config.getIgnoreFiles || [];
-        const ignoreFiles = [];
-        ignorePathGlob.forEach(ignoredPath => {
-            if ((0, exports.isRelativePath)(ignoredPath))
-                ignoreFiles.push(path.join(workspacePath, ignoredPath));
-            else
-                ignoreFiles.push(ignoredPath);
-        });
-        const proxy = Helper.getProxySetup();
-        const https = Helper.getHttpsSetup();
-        const mount = Config_1.Config.getMount;
-        // In live-server mountPath is reslove by `path.resolve(process.cwd(), mountRule[1])`.
-        // but in vscode `process.cwd()` is the vscode extensions path.
-        // The correct path should be resolve by workspacePath.
-        mount.forEach((mountRule) => {
-            if (mountRule.length === 2 && mountRule[1]) {
-                mountRule[1] = path.resolve(workspacePath, mountRule[1]);
-            }
+        const settings = {};
+        LiveServerSettings.names().forEach(name => settings[name] = Config_1.Config.getSettings(name));
+        const params = LiveServerSettings.toOptions(settings, workspacePath, {
+            certificate: hosts => HttpsHelper_1.HttpsHelper.getCertificate(hosts)
         });
-        const file = Config_1.Config.getFile;
-        return {
-            port: port,
-            host: '0.0.0.0',
-            root: rootPath,
-            file: file,
-            open: false,
-            https: https,
-            ignore: ignoreFiles,
-            disableGlobbing: true,
-            proxy: proxy,
-            cors: true,
-            wait: Config_1.Config.getWait || 100,
-            fullReload: Config_1.Config.getfullReload,
-            useBrowserExtension: Config_1.Config.getUseWebExt,
-            onTagMissedCallback: onTagMissedCallback,
-            mount: mount
-        };
+        params.open = false;
+        params.onTagMissedCallback = onTagMissedCallback;
+        return params;
     }
-    static getHttpsSetup() {
-        const httpsConfig = Config_1.Config.getHttps;
-        let https = null;
-        if (httpsConfig.enable === true) {
-            let cert = fs.readFileSync(httpsConfig.cert, 'utf8');
-            let key = fs.readFileSync(httpsConfig.key, 'utf8');
-            https = {
-                cert: cert,
-                key: key,
-                passphrase: httpsConfig.passphrase
-            };
+    /**
+     * Who can reach a server with the given parameters, for the status bar tooltip.
+     */
+    static describeExposure(params) {
+        if (params.host === '127.0.0.1') {
+            return 'Only reachable from this computer.';
         }
-        return https;
+        const localIp = require('ips')().local;
+        const protections = [];
+        if (params.htpasswd)
+            protections.push('password protected (htpasswd)');
+        if (params.auth)
+            protections.push(`password protected (user '${params.auth.username}', one-time password)`);
+        if (params.allow)
+            protections.push(`limited to ${params.allow.join(', ')}`);
+        return `Exposed to the network${localIp ? ' at ' + localIp : ''}, ` +
+            (protections.length ? protections.join(', ') : 'anyone on the network can access it') + '.';
     }
-    static getProxySetup() {
-        const proxySetup = Config_1.Config.getProxy;
-        let proxy = [[]];
-        if (proxySetup.enable === true) {
-            proxy[0].push(proxySetup.baseUri, proxySetup.proxyUri);
-        }
-        else {
-            proxy = null; // required to change the type [[]] to black array [].
-        }
-        return proxy;
+    /**
+     * Built-in network profiles of live-server and the custom ones of `liveServer.settings.throttle.profiles`, by name.
+     */
+    static getThrottleProfiles() {
+        const builtIn = require('live-server/middleware/throttle').profiles;
+        return Object.assign({ none: null }, builtIn, Config_1.Config.getThrottle.profiles || {});
+    }
+    /**
+     * e.g. `300 ms, 1600 kbit/s, 30% failures`
+     */
+    static describeThrottleProfile(profile) {
+        if (!profile)
+            return 'No throttling';
+        const parts = [];
+        if (profile.latency)
+            parts.push(`${profile.latency} ms`);
+        if (profile.downloadKbps)
+            parts.push(`${profile.downloadKbps} kbit/s`);
+        if (profile.failureRate)
+            parts.push(`${Math.round(profile.failureRate * 100)}% failures`);
+        if (profile.failures && profile.failures.length)
+            parts.push(`${profile.failures.length} failure rule(s)`);
+        return parts.join(', ') || 'No throttling';
     }
 }
 exports.Helper = Helper;
@@ -0,0 +1,38 @@
+'use strict';
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.HttpsHelper = void 0;
+const vscode_1 = require("vscode");
+const certificates = require("live-server/certificates");
+/**
+ * Certificates of the `auto` https mode, kept in the extension global storage.
+ * live-server creates the local CA once and signs a certificate for the hosts Live Server is reachable at.
+ */
+class HttpsHelper {
+    static Init(storagePath) {
+        HttpsHelper.storagePath = storagePath;
+    }
+    static get caCertPath() {
+        return certificates.caCertPath(HttpsHelper.storagePath);
+    }
+    /**
+     * @param hosts host names and IP addresses the certificate has to cover.
+     */
+    static getCertificate(hosts) {
+        if (!HttpsHelper.storagePath) {
+            throw new Error('Live Server: Storage for the generated https certificates is not available.');
+        }
+        return certificates(HttpsHelper.storagePath, hosts, () => HttpsHelper.showCaCreatedMsg());
+    }
+    static showCaCreatedMsg() {
+        const showCa = 'Show CA file';
+        vscode_1.window.showInformationMessage('Live Server created a local certificate authority for https. Add it to the trusted root certificates of your OS, browser or phone to get rid of the certificate warning.', showCa)
+            .then(choice => {
+            if (choice === showCa) {
+                vscode_1.commands.executeCommand('revealFileInOS', vscode_1.Uri.file(HttpsHelper.caCertPath));
+            }
+        });
+    }
+}
+exports.HttpsHelper = HttpsHelper;
+HttpsHelper.storagePath = null;
+//# sourceMappingURL=HttpsHelper.js.map
\ No newline at end of file
@@ -2,34 +2,27 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.LiveServerHelper = void 0;
 class LiveServerHelper {
-    static StartServer(params, callback) {
-        setTimeout(() => {
-            try {
-                let ServerInstance = require('live-server').start(params);
-                setTimeout(() => {
-                    if (!ServerInstance._connectionKey) {
-                        return callback({});
-                    }
-                    require('http-shutdown')(ServerInstance);
-                    return callback(ServerInstance);
-                }, 1000);
-            }
-            catch (err) {
-                console.error(err);
-                callback({
-                    errorMsg: err
-                });
-            }
-        }, 0);
+    /**
+     * Resolves with the live-server instance once it listens.
+     * Rejects with the listen error (e.g. `EADDRINUSE` or `EACCES`) if it can't.
+     */
+    static StartServer(params) {
+        return new Promise(resolve => resolve(require('live-server').start(params)))
+            .then(serverInstance => serverInstance.listening);
     }
-    static StopServer(LiveServerInstance, callback) {
-        LiveServerInstance.shutdown(() => {
-            // callback(); /*only Working first time, Unknown Bug*/
-        });
-        LiveServerInstance.close();
-        require('live-server').shutdown();
-        setTimeout(() => { callback(); }, 1000);
+    /**
+     * Resolves once the server and all of its sockets are closed.
+     */
+    static StopServer(LiveServerInstance) {
+        return LiveServerInstance.shutdown();
+    }
+    /**
+     * HAR 1.2 document of requests recorded by live-server instances.
+     */
+    static ToHar(entries) {
+        const manifest = require('../../package.json');
+        return require('live-server').toHar(entries, { name: manifest.displayName, version: manifest.version });
     }
 }
 exports.LiveServerHelper = LiveServerHelper;
-//# sourceMappingURL=LiveServerHelper.js.map
\ No newline at end of file
+//# sourceMappingURL=LiveServerHelper.js.map
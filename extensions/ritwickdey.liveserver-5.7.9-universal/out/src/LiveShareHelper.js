@@ -43,11 +43,20 @@ class LiveShareHelper {
         this.appModel = appModel;
         this.appModel.onDidGoLive((e) => __awaiter(this, void 0, void 0, function* () {
             // cache the current live server browse url
+            if (this.sharedServer && this.livePort !== e.runningPort) {
+                // only the latest live server is shared
+                this.sharedServer.dispose();
+                this.sharedServer = null;
+            }
+            this.livePort = e.runningPort;
             this.livePathUri = e.pathUri;
             yield this.shareLiveServer();
         }));
         this.appModel.onDidGoOffline((e) => {
+            if (e.runningPort !== this.livePort)
+                return;
             // reset the live server cached path
+            this.livePort = null;
             this.livePathUri = null;
             if (this.activeHostSession && this.sharedServer) {
                 // will un-share the server
@@ -88,9 +97,9 @@ class LiveShareHelper {
             if (this.activeHostSession && this.livePathUri) {
                 // only share the server when we're live and VS Live Share session is active
                 this.sharedServer = yield this.liveshare.shareServer({
-                    port: this.appModel.runningPort,
+                    port: this.livePort,
                     displayName: 'Live Server',
-                    browseUrl: `http://localhost:${this.appModel.runningPort}/${this.livePathUri.replace(/\\/gi, '/')}`
+                    browseUrl: `http://localhost:${this.livePort}/${this.livePathUri.replace(/\\/gi, '/')}`
                 });
             }
         });
@@ -0,0 +1,89 @@
+'use strict';
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.LiveTypingHelper = void 0;
+const vscode_1 = require("vscode");
+const Config_1 = require("./Config");
+/**
+ * Live typing (`liveServer.settings.liveTyping`): the unsaved text of editors is served in place of
+ * the files on disk, so pages update without saving. The file on disk is served again once the
+ * editor is saved, reverted or closed.
+ */
+class LiveTypingHelper {
+    constructor(appModel) {
+        this.appModel = appModel;
+        /** Pending updates, keyed by file path. */
+        this.timers = new Map();
+        /** Servers serving the unsaved text of a file, keyed by file path. */
+        this.servers = new Map();
+        this.disposables = [
+            vscode_1.workspace.onDidChangeTextDocument(e => this.schedule(e.document)),
+            vscode_1.workspace.onDidSaveTextDocument(document => this.clear(document.fileName)),
+            vscode_1.workspace.onDidCloseTextDocument(document => this.clear(document.fileName)),
+            vscode_1.workspace.onDidChangeConfiguration(e => {
+                if (e.affectsConfiguration('liveServer.settings.liveTyping')) {
+                    [...this.servers.keys()].filter(fileName => !this.isEnabled(fileName)).forEach(fileName => this.clear(fileName));
+                }
+            }),
+            appModel.onDidStartServer(server => {
+                if (!this.isEnabled(server.workspacePath))
+                    return;
+                vscode_1.workspace.textDocuments
+                    .filter(document => document.isDirty && document.uri.scheme === 'file')
+                    .filter(document => this.appModel.findServer(document.fileName) === server)
+                    .forEach(document => this.push(document, server));
+            }),
+            appModel.onDidStopServer(server => {
+                this.servers.forEach((pushedTo, fileName) => {
+                    if (pushedTo === server)
+                        this.servers.delete(fileName);
+                });
+            })
+        ];
+    }
+    /**
+     * @param fileName a workspace folder or a file in it, live typing can be set per folder
+     */
+    isEnabled(fileName) {
+        return Config_1.Config.withFolder(fileName, null, () => Config_1.Config.getLiveTyping.enable === true);
+    }
+    /**
+     * Updates the served text of `document` once typing pauses.
+     */
+    schedule(document) {
+        if (document.uri.scheme !== 'file' || !this.isEnabled(document.fileName))
+            return;
+        const fileName = document.fileName;
+        const delay = Config_1.Config.withFolder(fileName, null, () => Config_1.Config.getLiveTyping.delay);
+        clearTimeout(this.timers.get(fileName));
+        this.timers.set(fileName, setTimeout(() => {
+            this.timers.delete(fileName);
+            // Undoing every edit makes the document clean again without a save
+            if (document.isDirty)
+                this.push(document, this.appModel.findServer(fileName));
+            else
+                this.clear(fileName);
+        }, typeof delay === 'number' && delay >= 0 ? delay : 300));
+    }
+    push(document, server) {
+        if (!server)
+            return;
+        server.instance.setContents(document.fileName, document.getText());
+        this.servers.set(document.fileName, server);
+    }
+    clear(fileName) {
+        clearTimeout(this.timers.get(fileName));
+        this.timers.delete(fileName);
+        const server = this.servers.get(fileName);
+        if (!server)
+            return;
+        this.servers.delete(fileName);
+        server.instance.setContents(fileName, null);
+    }
+    dispose() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+exports.LiveTypingHelper = LiveTypingHelper;
+//# sourceMappingURL=LiveTypingHelper.js.map
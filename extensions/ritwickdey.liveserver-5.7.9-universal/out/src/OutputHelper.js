@@ -0,0 +1,106 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.OutputHelper = void 0;
+const vscode_1 = require("vscode");
+const Helper_1 = require("./Helper");
+/**
+ * The "Live Server" Output channel.
+ */
+class OutputHelper {
+    static get channel() {
+        if (!OutputHelper._outputChannel) {
+            OutputHelper._outputChannel = vscode_1.window.createOutputChannel('Live Server');
+        }
+        return OutputHelper._outputChannel;
+    }
+    static appendLine(msg) {
+        OutputHelper.channel.appendLine(`[${new Date().toLocaleTimeString()}] ${msg}`);
+    }
+    /**
+     * Writes a console message of a page. Stack frames that point at served files are
+     * rewritten to workspace paths, which the Output panel turns into links.
+     * @param serverInstance live-server instance which served the page
+     * @param event `console` event of the live-server instance
+     */
+    static logBrowserConsole(serverInstance, event) {
+        // Sent by the page, so not necessarily what the injected script sends
+        const args = [].concat(event.args).map(String);
+        const stack = event.stack ? String(event.stack) : null;
+        const text = args.map(arg => OutputHelper.linkStackFrames(serverInstance, arg)).join(' ');
+        OutputHelper.appendLine(`[${event.level}] ${event.url} [${Helper_1.Helper.describeClient(event.client)}] ${text}`);
+        if (stack && args.join(' ').indexOf(stack) === -1) {
+            OutputHelper.channel.appendLine(OutputHelper.linkStackFrames(serverInstance, stack)
+                .split('\n')
+                .map(line => '    ' + line.trim())
+                .join('\n'));
+        }
+    }
+    /**
+     * @param event `mocks` event of the live-server instance
+     */
+    static logMocks(event) {
+        if (event.error) {
+            OutputHelper.appendLine(`Mock routes not updated: ${event.error.message}`);
+            OutputHelper.channel.show(true);
+        }
+        else {
+            OutputHelper.appendLine(`Mock routes loaded: ${event.routes.map(route => `${route.method} ${route.path}`).join(', ') || 'none'}`);
+        }
+    }
+    /**
+     * @param event `middleware` event of the live-server instance
+     */
+    static logMiddleware(event) {
+        if (!event.error) {
+            OutputHelper.appendLine(`Middleware loaded: ${event.file}`);
+            return;
+        }
+        const where = event.url ? `while handling ${event.url}` : 'while loading';
+        OutputHelper.appendLine(`Middleware error in ${event.file} ${where}:`);
+        OutputHelper.channel.appendLine(String(event.error.stack || event.error));
+        OutputHelper.channel.show(true);
+    }
+    /**
+     * @param event `includes` event of the live-server instance
+     */
+    static logIncludes(event) {
+        OutputHelper.appendLine(`Include errors in ${event.file} (${event.url}):`);
+        event.errors.forEach(message => OutputHelper.channel.appendLine(`  ${message}`));
+        OutputHelper.channel.show(true);
+    }
+    /**
+     * Writes one line per request, e.g. `GET /index.html 200 12 ms 1.2 kB`.
+     * @param event `request` event of the live-server instance
+     */
+    static logRequest(event) {
+        const status = event.status || 'aborted';
+        OutputHelper.appendLine(`${event.method} ${event.url} ${status} ${event.time} ms ${OutputHelper.formatSize(event.size)}`);
+    }
+    static formatSize(bytes) {
+        if (bytes < 1000)
+            return `${bytes} B`;
+        if (bytes < 1000 * 1000)
+            return `${(bytes / 1000).toFixed(1)} kB`;
+        return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+    }
+    static linkStackFrames(serverInstance, text) {
+        return text.replace(/\bhttps?:\/\/[^\s()'"]+?(\/[^\s()'":]*):(\d+)(?::(\d+))?/g, (frame, urlPath, line, column) => {
+            let filePath = null;
+            try {
+                filePath = serverInstance.filePathOf(decodeURIComponent(urlPath));
+            }
+            catch (err) {
+                // not an URL of a served file
+            }
+            return filePath ? `${filePath}:${line}${column ? ':' + column : ''}` : frame;
+        });
+    }
+    static dispose() {
+        if (OutputHelper._outputChannel) {
+            OutputHelper._outputChannel.dispose();
+            OutputHelper._outputChannel = null;
+        }
+    }
+}
+exports.OutputHelper = OutputHelper;
+//# sourceMappingURL=OutputHelper.js.map
\ No newline at end of file
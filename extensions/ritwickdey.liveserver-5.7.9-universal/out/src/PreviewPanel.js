@@ -0,0 +1,249 @@
+'use strict';
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PreviewPanel = void 0;
+const crypto = __importStar(require("crypto"));
+const vscode_1 = require("vscode");
+const Helper_1 = require("./Helper");
+/**
+ * Device sizes offered by the preview toolbar, `0` fills the panel.
+ */
+const DEVICES = [
+    { label: 'Responsive', width: 0, height: 0 },
+    { label: 'Laptop (1366 x 768)', width: 1366, height: 768 },
+    { label: 'Tablet (768 x 1024)', width: 768, height: 1024 },
+    { label: 'Phone (390 x 844)', width: 390, height: 844 },
+    { label: 'Small phone (360 x 640)', width: 360, height: 640 }
+];
+/**
+ * Webview panel which frames the pages of a running server. The framed page has the injected script
+ * like in any browser, so it is live reloaded by the server. There is at most one panel.
+ */
+class PreviewPanel {
+    constructor(panel, appModel) {
+        this.panel = panel;
+        this.appModel = appModel;
+        this.disposables = [];
+        this.panel.onDidDispose(() => this.dispose(), null, this.disposables);
+        this.panel.webview.onDidReceiveMessage(message => this.onMessage(message), null, this.disposables);
+        vscode_1.window.onDidChangeActiveTextEditor(editor => this.followEditor(editor), null, this.disposables);
+        appModel.onDidStopServer(server => {
+            if (server === this.server)
+                this.panel.dispose();
+        }, null, this.disposables);
+    }
+    /**
+     * Shows `fileUri` (or the file of the active editor) in the preview panel, starting its server if needed.
+     */
+    static Show(appModel, fileUri) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const activeEditor = vscode_1.window.activeTextEditor;
+            const filePath = fileUri ? fileUri.fsPath : (activeEditor ? activeEditor.document.fileName : null);
+            let server;
+            try {
+                server = yield appModel.StartServer(filePath);
+            }
+            catch (err) {
+                vscode_1.window.showErrorMessage(err.message);
+                return;
+            }
+            if (!server)
+                return;
+            if (!PreviewPanel.current) {
+                const panel = vscode_1.window.createWebviewPanel(PreviewPanel.viewType, 'Live Server Preview', { viewColumn: vscode_1.ViewColumn.Beside, preserveFocus: true }, { enableScripts: true, retainContextWhenHidden: true });
+                PreviewPanel.current = new PreviewPanel(panel, appModel);
+            }
+            try {
+                yield PreviewPanel.current.open(server, filePath);
+            }
+            catch (err) {
+                vscode_1.window.showErrorMessage(`Failed to open the preview: ${err.message}`);
+                return;
+            }
+            PreviewPanel.current.panel.reveal(undefined, true);
+        });
+    }
+    /**
+     * Navigates to a file of `server`, the server root is shown for files which are not pages.
+     */
+    open(server, filePath) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const relativePath = (filePath && Helper_1.Helper.getSubPath(server.rootPath, filePath)) || '';
+            if (server !== this.server) {
+                // In remote sessions the port is forwarded and gets another address
+                const localRoot = this.appModel.getServerUrl(server.port);
+                const externalRoot = yield vscode_1.env.asExternalUri(vscode_1.Uri.parse(localRoot));
+                this.server = server;
+                this.rootUrl = externalRoot.toString(true);
+                this.panel.webview.html = this.getHtml(this.getPageUrl(relativePath));
+                return;
+            }
+            this.panel.webview.postMessage({ command: 'navigate', url: this.getPageUrl(relativePath) });
+        });
+    }
+    getPageUrl(relativePath) {
+        const localRoot = this.appModel.getServerUrl(this.server.port);
+        return this.rootUrl + this.appModel.getServerUrl(this.server.port, relativePath).substring(localRoot.length);
+    }
+    followEditor(editor) {
+        if (!editor || editor.document.uri.scheme !== 'file')
+            return;
+        const filePath = editor.document.fileName;
+        if (!Helper_1.Helper.IsSupportedFile(filePath))
+            return;
+        const server = this.appModel.findServer(filePath);
+        if (server && Helper_1.Helper.getSubPath(server.rootPath, filePath)) {
+            this.open(server, filePath)
+                .catch(err => vscode_1.window.showErrorMessage(`Failed to open the preview: ${err.message}`));
+        }
+    }
+    onMessage(message) {
+        switch (message.command) {
+            case 'title':
+                this.panel.title = message.title ? `Preview : ${message.title}` : 'Live Server Preview';
+                break;
+            case 'openExternal':
+                vscode_1.env.openExternal(vscode_1.Uri.parse(message.url));
+                break;
+        }
+    }
+    getHtml(url) {
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const devices = DEVICES.map((device, i) => `<option value="${i}">${device.label}</option>`).join('');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; frame-src http: https:; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<style nonce="${nonce}">
+    html, body { height: 100%; margin: 0; padding: 0; overflow: hidden; }
+    body { display: flex; flex-direction: column; color: var(--vscode-foreground); font-family: var(--vscode-font-family); font-size: var(--vscode-font-size); }
+    .toolbar { display: flex; gap: 4px; padding: 4px; border-bottom: 1px solid var(--vscode-panel-border); }
+    button, select, input { color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid var(--vscode-input-border, transparent); font: inherit; }
+    button { min-width: 28px; cursor: pointer; }
+    button:disabled { opacity: 0.5; cursor: default; }
+    input { flex: 1; min-width: 0; padding: 2px 4px; }
+    .viewport { flex: 1; overflow: auto; display: flex; justify-content: center; align-items: flex-start; }
+    iframe { width: 100%; height: 100%; border: 0; background: white; }
+    iframe.device { flex: none; margin: 8px; box-shadow: 0 0 6px var(--vscode-widget-shadow); }
+</style>
+</head>
+<body>
+<div class="toolbar">
+    <button id="back" title="Back">&#8592;</button>
+    <button id="forward" title="Forward">&#8594;</button>
+    <button id="reload" title="Reload">&#8635;</button>
+    <input id="address" type="text" spellcheck="false" aria-label="Address">
+    <select id="device" title="Device size">${devices}</select>
+    <button id="external" title="Open in Browser">&#8599;</button>
+</div>
+<div class="viewport"><iframe id="frame"></iframe></div>
+<script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const devices = ${JSON.stringify(DEVICES)};
+    const root = ${JSON.stringify(this.rootUrl)};
+    const frame = document.getElementById('frame');
+    const address = document.getElementById('address');
+    const back = document.getElementById('back');
+    const forward = document.getElementById('forward');
+    // The framed page is cross-origin, so the panel keeps its own history
+    let entries = [];
+    let index = -1;
+    function update() {
+        address.value = entries[index] || '';
+        back.disabled = index <= 0;
+        forward.disabled = index >= entries.length - 1;
+    }
+    function push(url) {
+        if (url === entries[index]) return;
+        entries = entries.slice(0, index + 1);
+        entries.push(url);
+        index++;
+        update();
+    }
+    function go(url) {
+        push(url);
+        frame.src = url;
+    }
+    function move(delta) {
+        index += delta;
+        frame.src = entries[index];
+        update();
+    }
+    back.addEventListener('click', () => move(-1));
+    forward.addEventListener('click', () => move(1));
+    document.getElementById('reload').addEventListener('click', () => { frame.src = entries[index]; });
+    document.getElementById('external').addEventListener('click', () => vscode.postMessage({ command: 'openExternal', url: entries[index] }));
+    address.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        let url;
+        try {
+            url = new URL(address.value.trim(), root);
+        }
+        catch (err) {
+            return update();
+        }
+        if (url.protocol === 'http:' || url.protocol === 'https:') go(url.href);
+        else update();
+    });
+    document.getElementById('device').addEventListener('change', e => {
+        const device = devices[e.target.value];
+        frame.classList.toggle('device', !!device.width);
+        frame.style.width = device.width ? device.width + 'px' : '';
+        frame.style.height = device.height ? device.height + 'px' : '';
+    });
+    window.addEventListener('message', e => {
+        const data = e.data || {};
+        if (e.source === frame.contentWindow && data.command === 'live-server:location') {
+            push(data.url);
+            vscode.postMessage({ command: 'title', title: data.title });
+        }
+        else if (e.source !== frame.contentWindow && data.command === 'navigate') {
+            go(data.url);
+        }
+    });
+    go(${JSON.stringify(url)});
+</script>
+</body>
+</html>`;
+    }
+    dispose() {
+        PreviewPanel.current = undefined;
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
+exports.PreviewPanel = PreviewPanel;
+PreviewPanel.viewType = 'liveServer.preview';
+//# sourceMappingURL=PreviewPanel.js.map
@@ -0,0 +1,227 @@
+'use strict';
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ProfileHelper = exports.PROFILE_FILE = void 0;
+const fs = __importStar(require("fs"));
+const path = __importStar(require("path"));
+const vscode_1 = require("vscode");
+const LiveServerSettings = require("live-server/settings");
+exports.PROFILE_FILE = '.liveserverrc.json';
+const SAMPLE = {
+    default: 'static-only',
+    profiles: {
+        'static-only': {
+            root: '/',
+            port: 5500
+        },
+        'with-api-proxy': {
+            extends: 'static-only',
+            proxy: [{ enable: true, baseUri: '/api', proxyUri: 'http://127.0.0.1:3000/api' }]
+        },
+        'https-mobile': {
+            extends: 'static-only',
+            port: 5501,
+            useLocalIp: true,
+            https: { enable: 'auto' }
+        }
+    }
+};
+function typeOf(value) {
+    return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+/**
+ * Launch profiles of `.liveserverrc.json`, a committed file with named sets of `liveServer.settings.*` values.
+ * Problems of the file are reported in the Problems panel.
+ */
+class ProfileHelper {
+    static get diagnostics() {
+        if (!ProfileHelper._diagnostics) {
+            ProfileHelper._diagnostics = vscode_1.languages.createDiagnosticCollection('Live Server');
+        }
+        return ProfileHelper._diagnostics;
+    }
+    /**
+     * Reads the profiles of a workspace folder, with inheritance and variables resolved.
+     * Profiles with errors are left out.
+     * @returns `{ profiles, defaultProfile }` where a profile is `{ name, settings }`,
+     * or undefined if the folder has no readable profile file.
+     */
+    static Read(workspacePath) {
+        const file = path.join(workspacePath, exports.PROFILE_FILE);
+        const uri = vscode_1.Uri.file(file);
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+        }
+        catch (err) {
+            ProfileHelper.diagnostics.delete(uri);
+            return;
+        }
+        // Comments are blanked out, so they keep their place but can't be taken for the keys of a problem
+        const source = LiveServerSettings.stripJsonc(text);
+        const problems = [];
+        const report = (message, anchor, severity = vscode_1.DiagnosticSeverity.Error) => {
+            problems.push(new vscode_1.Diagnostic(ProfileHelper.rangeOf(source, anchor), message, severity));
+        };
+        let json;
+        try {
+            json = LiveServerSettings.parseJsonc(text);
+        }
+        catch (err) {
+            const position = /position (\d+)/.exec(err.message);
+            report(`Invalid JSON: ${err.message}`, position ? Number(position[1]) : 0);
+            ProfileHelper.diagnostics.set(uri, problems);
+            return;
+        }
+        const result = { profiles: new Map(), defaultProfile: null };
+        if (typeOf(json) !== 'object' || typeOf(json.profiles) !== 'object') {
+            report(`${exports.PROFILE_FILE} needs a "profiles" object with the profiles by name.`, 0);
+            ProfileHelper.diagnostics.set(uri, problems);
+            return result;
+        }
+        const names = Object.keys(json.profiles);
+        names.forEach(name => {
+            const settings = ProfileHelper.resolve(json.profiles, name, workspacePath, report);
+            if (settings)
+                result.profiles.set(name, { name, settings });
+        });
+        if (json.default !== undefined) {
+            if (!names.includes(json.default))
+                report(`Default profile '${json.default}' is not defined.`, ['default']);
+            else
+                result.defaultProfile = result.profiles.get(json.default) || null;
+        }
+        ProfileHelper.diagnostics.set(uri, problems);
+        return result;
+    }
+    /**
+     * Settings of a profile merged over the settings of the profiles it extends.
+     * @returns the settings, or null if the profile has errors
+     */
+    static resolve(profiles, name, workspacePath, report) {
+        return LiveServerSettings.resolveProfile(profiles, name, workspacePath, (message, anchor, severity) => {
+            report(message, anchor, severity === 'warning' ? vscode_1.DiagnosticSeverity.Warning : vscode_1.DiagnosticSeverity.Error);
+        });
+    }
+    /**
+     * Range of a problem: the property at `anchor` (a path of keys, found by name in order) or a character offset.
+     */
+    static rangeOf(text, anchor) {
+        let start = 0;
+        let end = 0;
+        if (typeof anchor === 'number') {
+            start = end = Math.min(anchor, text.length);
+        }
+        else {
+            let from = 0;
+            anchor.forEach(key => {
+                const index = text.indexOf(JSON.stringify(key), from);
+                if (index === -1)
+                    return;
+                start = index;
+                end = index + JSON.stringify(key).length;
+                from = end;
+            });
+        }
+        const toPosition = (offset) => {
+            const lines = text.slice(0, offset).split('\n');
+            return new vscode_1.Position(lines.length - 1, lines[lines.length - 1].length);
+        };
+        return new vscode_1.Range(toPosition(start), toPosition(end));
+    }
+    /**
+     * Lets the user pick a profile of any workspace folder.
+     * Offers to create a sample file if there is none.
+     * @returns `{ workspacePath, profile }`, undefined if nothing was picked.
+     */
+    static Pick() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const folders = vscode_1.workspace.workspaceFolders || [];
+            const items = [];
+            folders.forEach(folder => {
+                const read = ProfileHelper.Read(folder.uri.fsPath);
+                if (!read)
+                    return;
+                read.profiles.forEach(profile => items.push({
+                    label: profile.name,
+                    description: [
+                        folders.length > 1 ? folder.name : null,
+                        read.defaultProfile === profile ? 'default' : null
+                    ].filter(Boolean).join(' - '),
+                    workspacePath: folder.uri.fsPath,
+                    profile
+                }));
+            });
+            if (!items.length) {
+                const create = `Create ${exports.PROFILE_FILE}`;
+                const choice = yield vscode_1.window.showInformationMessage(`No launch profiles found. Add them to ${exports.PROFILE_FILE} in the workspace folder.`, create);
+                if (choice === create && folders.length) {
+                    yield ProfileHelper.CreateSample(folders[0].uri.fsPath);
+                }
+                return;
+            }
+            const picked = yield vscode_1.window.showQuickPick(items, { placeHolder: 'choose Live Server profile to start' });
+            return picked && { workspacePath: picked.workspacePath, profile: picked.profile };
+        });
+    }
+    /**
+     * Validates the profile files of the workspace folders now and whenever one is saved.
+     */
+    static Watch() {
+        (vscode_1.workspace.workspaceFolders || []).forEach(folder => ProfileHelper.Read(folder.uri.fsPath));
+        return vscode_1.workspace.onDidSaveTextDocument(document => {
+            if (path.basename(document.fileName) === exports.PROFILE_FILE) {
+                ProfileHelper.Read(path.dirname(document.fileName));
+            }
+        });
+    }
+    static CreateSample(workspacePath) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const file = path.join(workspacePath, exports.PROFILE_FILE);
+            if (!fs.existsSync(file)) {
+                fs.writeFileSync(file, JSON.stringify(SAMPLE, null, '\t') + '\n');
+            }
+            yield vscode_1.window.showTextDocument(vscode_1.Uri.file(file));
+        });
+    }
+    static dispose() {
+        if (ProfileHelper._diagnostics) {
+            ProfileHelper._diagnostics.dispose();
+            ProfileHelper._diagnostics = null;
+        }
+    }
+}
+exports.ProfileHelper = ProfileHelper;
+ProfileHelper._diagnostics = null;
+//# sourceMappingURL=ProfileHelper.js.map
@@ -21,20 +21,125 @@ class StatusbarUi {
         StatusbarUi.statusbar.text = `$(pulse) ${workingMsg}`;
         StatusbarUi.statusbar.tooltip = 'In case if it takes long time, try to close all browser window.';
         StatusbarUi.statusbar.command = null;
+        StatusbarUi.ShowGoLive(true);
     }
     static Live() {
         StatusbarUi.statusbar.text = '$(broadcast) Go Live';
         StatusbarUi.statusbar.command = 'extension.liveServer.goOnline';
         StatusbarUi.statusbar.tooltip = 'Click to run live server';
     }
-    static Offline(port) {
-        StatusbarUi.statusbar.text = `$(circle-slash) Port : ${port}`;
-        StatusbarUi.statusbar.command = 'extension.liveServer.goOffline';
-        StatusbarUi.statusbar.tooltip = 'Click to close server';
+    /**
+     * The `Go Live` button is hidden once every workspace folder has its own running server.
+     */
+    static ShowGoLive(show) {
+        if (show && Config_1.Config.getShowOnStatusbar)
+            StatusbarUi.statusbar.show();
+        else
+            StatusbarUi.statusbar.hide();
+    }
+    /**
+     * Shows (or updates) the status bar entry of one running server. Clicking it stops that server.
+     * @param serverId workspace path of the server
+     * @param name shown next to the port when more than one workspace folder is opened
+     * @param exposure who can reach the server, shown in the tooltip
+     */
+    static Offline(serverId, port, name, exposure) {
+        let item = StatusbarUi._serverItems.get(serverId);
+        if (!item) {
+            item = vscode_1.window.createStatusBarItem(vscode_1.StatusBarAlignment.Right, 99);
+            StatusbarUi._serverItems.set(serverId, item);
+        }
+        item.text = name ? `$(circle-slash) ${name} : ${port}` : `$(circle-slash) Port : ${port}`;
+        item.command = {
+            title: 'Stop Live Server',
+            command: 'extension.liveServer.goOffline',
+            arguments: [serverId]
+        };
+        item.tooltip = (name ? `Click to close server of '${name}'` : 'Click to close server') +
+            (exposure ? `\n${exposure}` : '');
+        if (Config_1.Config.getShowOnStatusbar)
+            item.show();
+    }
+    /**
+     * Browser sync indicator, only shown while a server is running. Clicking it toggles sync.
+     */
+    static Sync(enabled, show) {
+        if (!StatusbarUi._syncItem) {
+            StatusbarUi._syncItem = vscode_1.window.createStatusBarItem(vscode_1.StatusBarAlignment.Right, 98);
+            StatusbarUi._syncItem.command = 'extension.liveServer.toggleSync';
+        }
+        StatusbarUi._syncItem.text = enabled ? '$(sync) Sync' : '$(sync-ignored) Sync';
+        StatusbarUi._syncItem.tooltip = enabled
+            ? 'Browser sync is on: scrolling, clicks and input are mirrored between browsers. Click to turn it off.'
+            : 'Click to mirror scrolling, clicks and input between browsers';
+        if (show && Config_1.Config.getShowOnStatusbar)
+            StatusbarUi._syncItem.show();
+        else
+            StatusbarUi._syncItem.hide();
+    }
+    /**
+     * Active network profile, only shown while a server is running. Clicking it switches the profile.
+     * @param name name of the profile, `none` when requests are not throttled
+     * @param description e.g. latency and download rate of the profile
+     */
+    static Throttle(name, description, show) {
+        if (!StatusbarUi._throttleItem) {
+            StatusbarUi._throttleItem = vscode_1.window.createStatusBarItem(vscode_1.StatusBarAlignment.Right, 97);
+            StatusbarUi._throttleItem.command = 'extension.liveServer.changeThrottle';
+        }
+        const throttled = name && name !== 'none';
+        StatusbarUi._throttleItem.text = throttled ? `$(dashboard) ${name}` : '$(dashboard) No throttling';
+        StatusbarUi._throttleItem.tooltip = throttled
+            ? `Simulated network: ${name} (${description}). Click to change it.`
+            : 'Click to simulate a slow or unreliable network';
+        if (show && Config_1.Config.getShowOnStatusbar)
+            StatusbarUi._throttleItem.show();
+        else
+            StatusbarUi._throttleItem.hide();
+    }
+    /**
+     * Shown while requests are recorded. Clicking it stops the recording.
+     */
+    static Recording(show) {
+        if (!StatusbarUi._recordingItem) {
+            StatusbarUi._recordingItem = vscode_1.window.createStatusBarItem(vscode_1.StatusBarAlignment.Right, 96);
+            StatusbarUi._recordingItem.command = 'extension.liveServer.stopRecording';
+            StatusbarUi._recordingItem.text = '$(record) Recording';
+            StatusbarUi._recordingItem.tooltip = 'Requests are recorded. Click to stop the recording and export it as a HAR file.';
+        }
+        if (show && Config_1.Config.getShowOnStatusbar)
+            StatusbarUi._recordingItem.show();
+        else
+            StatusbarUi._recordingItem.hide();
+    }
+    static RemoveServer(serverId) {
+        const item = StatusbarUi._serverItems.get(serverId);
+        if (item) {
+            item.dispose();
+            StatusbarUi._serverItems.delete(serverId);
+        }
     }
     static dispose() {
         StatusbarUi.statusbar.dispose();
+        StatusbarUi._serverItems.forEach(item => item.dispose());
+        StatusbarUi._serverItems.clear();
+        if (StatusbarUi._syncItem) {
+            StatusbarUi._syncItem.dispose();
+            StatusbarUi._syncItem = null;
+        }
+        if (StatusbarUi._throttleItem) {
+            StatusbarUi._throttleItem.dispose();
+            StatusbarUi._throttleItem = null;
+        }
+        if (StatusbarUi._recordingItem) {
+            StatusbarUi._recordingItem.dispose();
+            StatusbarUi._recordingItem = null;
+        }
     }
 }
 exports.StatusbarUi = StatusbarUi;
+StatusbarUi._serverItems = new Map();
+StatusbarUi._syncItem = null;
+StatusbarUi._throttleItem = null;
+StatusbarUi._recordingItem = null;
 //# sourceMappingURL=StatusbarUi.js.map
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { Event, Uri } from 'vscode';
+/**
+ * API of the Live Server extension:
+ * `const api: LiveServerApi = await vscode.extensions.getExtension('ritwickdey.LiveServer').activate();`
+ */
+export interface LiveServerApi {
+    /**
+     * Starts the server of a workspace folder, or returns the one already running.
+     * Resolves once the server listens, rejects if it could not be started.
+     */
+    start(options?: StartOptions): Promise<{
+        url: string;
+        port: number;
+    }>;
+    /**
+     * Stops the server of a workspace folder, or every server if no folder is given.
+     */
+    stop(folder?: string | Uri): Promise<void>;
+    getStatus(): {
+        running: boolean;
+        servers: ServerStatus[];
+    };
+    /**
+     * Reloads the pages which use the given files, or every page if no file is given.
+     */
+    reload(paths?: (string | Uri)[]): void;
+    readonly onDidStart: Event<ServerStatus>;
+    readonly onDidStop: Event<ServerStatus>;
+}
+export interface StartOptions {
+    /** Workspace folder, or a file in it. Defaults to the folder chosen like the `Go Live` button does. */
+    folder?: string | Uri;
+    /** Open the server root in the browser. Defaults to false. */
+    openBrowser?: boolean;
+}
+export interface ServerStatus {
+    workspaceFolder: string;
+    rootPath: string;
+    port: number;
+    url: string;
+    /** Number of connected pages */
+    clients: number;
+}
+export declare function createApi(appModel: any): LiveServerApi;
@@ -0,0 +1,67 @@
+'use strict';
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createApi = void 0;
+function toFsPath(pathOrUri) {
+    return pathOrUri && pathOrUri.fsPath ? pathOrUri.fsPath : pathOrUri;
+}
+/**
+ * API returned by `activate`, for other extensions and tasks. See `api.d.ts` for the types.
+ * @param appModel
+ */
+function createApi(appModel) {
+    const toStatus = (server) => ({
+        workspaceFolder: server.workspacePath,
+        rootPath: server.rootPath,
+        port: server.port,
+        url: appModel.getServerUrl(server.port),
+        clients: server.instance.clients.length
+    });
+    const mapEvent = (event) => (listener, thisArgs, disposables) => event(server => listener.call(thisArgs, toStatus(server)), null, disposables);
+    return {
+        start(options = {}) {
+            return __awaiter(this, void 0, void 0, function* () {
+                const server = yield appModel.StartServer(toFsPath(options.folder));
+                if (!server) {
+                    throw new Error('Live Server is already starting or stopping the server of this folder.');
+                }
+                if (options.openBrowser) {
+                    appModel.openBrowser(server.port, '');
+                }
+                return { url: appModel.getServerUrl(server.port), port: server.port };
+            });
+        },
+        stop(folder) {
+            return __awaiter(this, void 0, void 0, function* () {
+                const servers = folder ? [appModel.findServer(toFsPath(folder))] : [...appModel.servers.values()];
+                yield Promise.all(servers.filter(server => server).map(server => appModel.GoOffline(server.workspacePath)));
+            });
+        },
+        getStatus() {
+            const servers = [...appModel.servers.values()].map(toStatus);
+            return { running: servers.length > 0, servers };
+        },
+        reload(paths) {
+            const filePaths = (paths || []).map(toFsPath);
+            appModel.servers.forEach(server => {
+                const served = filePaths.filter(filePath => appModel.findServer(filePath) === server);
+                if (!filePaths.length)
+                    server.instance.reload();
+                else if (served.length)
+                    server.instance.reload(served);
+            });
+        },
+        onDidStart: mapEvent(appModel.onDidStartServer),
+        onDidStop: mapEvent(appModel.onDidStopServer)
+    };
+}
+exports.createApi = createApi;
+//# sourceMappingURL=api.js.map
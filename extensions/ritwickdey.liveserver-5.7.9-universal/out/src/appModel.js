@@ -1,4 +1,27 @@
 'use strict';
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
     return new (P || (P = Promise))(function (resolve, reject) {
@@ -10,6 +33,8 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.AppModel = void 0;
+const fs = __importStar(require("fs"));
+const path = __importStar(require("path"));
 const vscode_1 = require("vscode");
 const LiveServerHelper_1 = require("./LiveServerHelper");
 const StatusbarUi_1 = require("./StatusbarUi");
@@ -17,13 +42,25 @@ const Config_1 = require("./Config");
 const Helper_1 = require("./Helper");
 const workspaceResolver_1 = require("./workspaceResolver");
 const LiveShareHelper_1 = require("./LiveShareHelper");
+const LiveTypingHelper_1 = require("./LiveTypingHelper");
+const OutputHelper_1 = require("./OutputHelper");
+const ProfileHelper_1 = require("./ProfileHelper");
 class AppModel {
     constructor() {
         this.goLiveEvent = new vscode_1.EventEmitter();
         this.goOfflineEvent = new vscode_1.EventEmitter();
-        this.IsServerRunning = false;
-        this.runningPort = null;
+        this.serverStartEvent = new vscode_1.EventEmitter();
+        this.serverStopEvent = new vscode_1.EventEmitter();
+        /** Running servers, keyed by workspace folder path. */
+        this.servers = new Map();
+        this.busyWorkspaces = new Set();
+        this.syncEnabled = !!Config_1.Config.getSync;
+        this.throttleProfile = Config_1.Config.getThrottle.profile || 'none';
+        this.recording = false;
+        /** Requests recorded by servers which were stopped since the recording started. */
+        this.recordedEntries = [];
         this.liveShareHelper = new LiveShareHelper_1.LiveShareHelper(this);
+        this.liveTypingHelper = new LiveTypingHelper_1.LiveTypingHelper(this);
         StatusbarUi_1.StatusbarUi.Init();
     }
     get onDidGoLive() {
@@ -32,106 +69,353 @@ class AppModel {
     get onDidGoOffline() {
         return this.goOfflineEvent.event;
     }
-    Golive(pathUri) {
+    get IsServerRunning() {
+        return this.servers.size > 0;
+    }
+    get onDidStartServer() {
+        return this.serverStartEvent.event;
+    }
+    get onDidStopServer() {
+        return this.serverStopEvent.event;
+    }
+    /**
+     * Starts the server of the workspace folder of `pathUri` (or reuses the running one) and opens the browser.
+     * @param profile launch profile of `.liveserverrc.json`, the default profile of the folder if not given
+     * @returns URL of the opened page, undefined if the server could not be started.
+     */
+    Golive(pathUri, profile) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const openedDocUri = pathUri || (vscode_1.window.activeTextEditor ? vscode_1.window.activeTextEditor.document.fileName : '');
+            const runningServers = [...this.servers.values()];
+            let server;
+            try {
+                server = yield this.StartServer(pathUri, profile);
+            }
+            catch (err) {
+                return this.showPopUpMsg(err.message, true);
+            }
+            if (!server)
+                return;
+            const relativePath = Helper_1.Helper.getSubPath(server.rootPath, openedDocUri) || '';
+            if (runningServers.indexOf(server) > -1) {
+                this.goLiveEvent.fire({ runningPort: server.port, pathUri: relativePath });
+                this.openBrowser(server.port, relativePath);
+                return this.getServerUrl(server.port, relativePath);
+            }
+            if (server.requestedPort && server.port !== server.requestedPort) {
+                this.showPopUpMsg(`The default port : ${server.requestedPort} is currently taken, Server is Started at port : ${server.port}.`);
+            }
+            else {
+                this.showPopUpMsg(`Server is Started at port : ${server.port}`);
+            }
+            if (!this.withServerSettings(server.port, () => Config_1.Config.getNoBrowser)) {
+                this.goLiveEvent.fire({ runningPort: server.port, pathUri: relativePath });
+                this.openBrowser(server.port, relativePath);
+            }
+            return this.getServerUrl(server.port, relativePath);
+        });
+    }
+    /**
+     * Starts the server of the workspace folder of `pathUri`, without opening a browser.
+     * Unlike `Golive`, errors are thrown instead of shown.
+     * @param profile launch profile of `.liveserverrc.json`, the default profile of the folder if not given.
+     * A running server is reused whatever its profile.
+     * @returns the running server, or undefined if the server is just being started or stopped.
+     */
+    StartServer(pathUri, profile) {
         return __awaiter(this, void 0, void 0, function* () {
             // if no folder is opened.
             if (!vscode_1.workspace.workspaceFolders) {
-                return this.showPopUpMsg(`Open a folder or workspace... (File -> Open Folder)`, true);
+                throw new Error(`Open a folder or workspace... (File -> Open Folder)`);
             }
             if (!vscode_1.workspace.workspaceFolders.length) {
-                return this.showPopUpMsg(`You've not added any folder in the workspace`, true);
+                throw new Error(`You've not added any folder in the workspace`);
             }
             const workspacePath = yield (0, workspaceResolver_1.workspaceResolver)(pathUri);
-            if (!this.isCorrectWorkspace(workspacePath))
-                return;
-            const openedDocUri = pathUri || (vscode_1.window.activeTextEditor ? vscode_1.window.activeTextEditor.document.fileName : '');
-            const pathInfos = Helper_1.Helper.testPathWithRoot(workspacePath);
-            if (this.IsServerRunning) {
-                const relativePath = Helper_1.Helper.getSubPath(pathInfos.rootPath, openedDocUri) || '';
-                this.goLiveEvent.fire({ runningPort: this.runningPort, pathUri: relativePath });
-                return this.openBrowser(this.runningPort, relativePath);
+            const runningServer = this.servers.get(workspacePath);
+            if (runningServer) {
+                return runningServer;
+            }
+            if (profile === undefined) {
+                const profiles = ProfileHelper_1.ProfileHelper.Read(workspacePath);
+                profile = profiles && profiles.defaultProfile;
             }
+            const settings = profile ? profile.settings : null;
+            const pathInfos = Config_1.Config.withFolder(workspacePath, settings, () => Helper_1.Helper.testPathWithRoot(workspacePath));
             if (pathInfos.isNotOkay) {
                 this.showPopUpMsg('Invalid Path in liveServer.settings.root settings. live Server will serve from workspace root', true);
             }
-            if (this.isServerBusy)
+            if (this.busyWorkspaces.has(workspacePath))
                 return;
-            let params = Helper_1.Helper.generateParams(pathInfos.rootPath, workspacePath, () => {
-                this.tagMissedCallback();
-            });
-            this.isServerBusy = true;
-            StatusbarUi_1.StatusbarUi.Working('Starting...');
-            LiveServerHelper_1.LiveServerHelper.StartServer(params, (serverInstance) => __awaiter(this, void 0, void 0, function* () {
-                this.isServerBusy = false;
-                if (serverInstance && serverInstance.address) {
-                    this.LiveServerInstance = serverInstance;
-                    this.runningPort = serverInstance.address().port;
-                    this.ToggleStatusBar();
-                    this.showPopUpMsg(`Server is Started at port : ${this.runningPort}`);
-                    if (!Config_1.Config.getNoBrowser) {
-                        const relativePath = Helper_1.Helper.getSubPath(pathInfos.rootPath, openedDocUri) || '';
-                        this.goLiveEvent.fire({ runningPort: this.runningPort, pathUri: relativePath });
-                        this.openBrowser(this.runningPort, relativePath);
-                    }
-                }
-                else {
-                    if (!serverInstance.errorMsg) {
-                        yield Config_1.Config.setPort(Config_1.Config.getPort + 1); // + 1 will be fine
-                        this.showPopUpMsg(`The default port : ${Config_1.Config.getPort - 1} is currently taken, changing port to : ${Config_1.Config.getPort}.`);
-                        this.Golive(pathUri);
-                    }
-                    else {
-                        this.showPopUpMsg(`Something is went wrong! Please check into Developer Console or report on GitHub.`, true);
-                    }
-                    this.IsServerRunning = true; // to revert status - cheat :p
-                    this.ToggleStatusBar(); // reverted
-                }
+            const params = Config_1.Config.withFolder(workspacePath, settings, () => Helper_1.Helper.generateParams(workspacePath, (appended) => {
+                this.tagMissedCallback(appended);
             }));
+            params.port = this.getUnusedPort(params.port);
+            params.sync = this.syncEnabled;
+            params.throttle = this.getThrottleProfile();
+            this.busyWorkspaces.add(workspacePath);
+            StatusbarUi_1.StatusbarUi.Working('Starting...');
+            let serverInstance;
+            try {
+                serverInstance = yield LiveServerHelper_1.LiveServerHelper.StartServer(params);
+            }
+            catch (err) {
+                this.busyWorkspaces.delete(workspacePath);
+                this.updateStatusBar();
+                const error = new Error(this.getStartErrorMsg(err, params));
+                error.code = err.code;
+                throw error;
+            }
+            this.busyWorkspaces.delete(workspacePath);
+            serverInstance.on('console', (event) => OutputHelper_1.OutputHelper.logBrowserConsole(serverInstance, event));
+            serverInstance.on('mocks', (event) => OutputHelper_1.OutputHelper.logMocks(event));
+            serverInstance.on('middleware', (event) => OutputHelper_1.OutputHelper.logMiddleware(event));
+            serverInstance.on('includes', (event) => OutputHelper_1.OutputHelper.logIncludes(event));
+            serverInstance.on('request', (event) => {
+                if (Config_1.Config.withFolder(workspacePath, null, () => Config_1.Config.getRequestLog))
+                    OutputHelper_1.OutputHelper.logRequest(event);
+            });
+            if (this.recording) {
+                serverInstance.startRecording();
+            }
+            if (serverInstance.mocks && serverInstance.mocks.error) {
+                OutputHelper_1.OutputHelper.logMocks({ error: serverInstance.mocks.error });
+            }
+            const server = {
+                name: this.getWorkspaceName(workspacePath),
+                workspacePath,
+                rootPath: pathInfos.rootPath,
+                instance: serverInstance,
+                port: serverInstance.address().port,
+                requestedPort: params.port,
+                profile: profile || null,
+                exposure: (profile ? `Profile: ${profile.name}\n` : '') + Helper_1.Helper.describeExposure(params)
+            };
+            this.servers.set(workspacePath, server);
+            this.updateStatusBar();
+            if (params.auth) {
+                this.showPassword(server, params.auth);
+            }
+            this.serverStartEvent.fire(server);
+            return server;
         });
     }
-    GoOffline() {
-        if (this.isServerBusy)
+    /**
+     * Stops one server.
+     * @param target workspace path of the server or path of a file served by it.
+     * If it is not given, the server of the active editor is stopped or the user picks one.
+     */
+    GoOffline(target) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!this.IsServerRunning) {
+                this.showPopUpMsg(`Server is not already running`);
+                return;
+            }
+            const server = target ? this.findServer(target) : yield this.pickRunningServer();
+            if (!server || this.busyWorkspaces.has(server.workspacePath))
+                return;
+            this.goOfflineEvent.fire({ runningPort: server.port });
+            this.busyWorkspaces.add(server.workspacePath);
+            StatusbarUi_1.StatusbarUi.Working('Disposing...');
+            try {
+                yield LiveServerHelper_1.LiveServerHelper.StopServer(server.instance);
+            }
+            catch (err) {
+                this.updateStatusBar();
+                return this.showPopUpMsg(`Failed to stop the server at port ${server.port}: ${err.message}`, true);
+            }
+            finally {
+                this.busyWorkspaces.delete(server.workspacePath);
+            }
+            this.recordedEntries.push(...server.instance.getRecording());
+            this.showPopUpMsg('Server is now offline.');
+            this.servers.delete(server.workspacePath);
+            StatusbarUi_1.StatusbarUi.RemoveServer(server.workspacePath);
+            this.updateStatusBar();
+            this.serverStopEvent.fire(server);
+        });
+    }
+    /**
+     * Turns browser sync on or off for every running server.
+     */
+    ToggleSync() {
+        this.syncEnabled = !this.syncEnabled;
+        this.servers.forEach(server => server.instance.setSync(this.syncEnabled));
+        this.updateStatusBar();
+        this.showPopUpMsg(`Browser sync is ${this.syncEnabled ? 'on' : 'off'}.`);
+    }
+    /**
+     * Lets the user pick the simulated network profile of every running server.
+     * The choice lasts for the session, `liveServer.settings.throttle.profile` is not changed.
+     */
+    ChangeThrottle() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const profiles = Helper_1.Helper.getThrottleProfiles();
+            const picked = yield vscode_1.window.showQuickPick(Object.keys(profiles).map(name => ({
+                label: name,
+                description: Helper_1.Helper.describeThrottleProfile(profiles[name]),
+                picked: name === this.throttleProfile
+            })), { placeHolder: `Network profile (current: ${this.throttleProfile})` });
+            if (!picked)
+                return;
+            this.throttleProfile = picked.label;
+            const profile = this.getThrottleProfile();
+            this.servers.forEach(server => server.instance.setThrottle(profile));
+            this.updateStatusBar();
+        });
+    }
+    /**
+     * The profile object of the chosen profile name, null for `none` and unknown names.
+     */
+    getThrottleProfile() {
+        const profiles = Helper_1.Helper.getThrottleProfiles();
+        if (!profiles.hasOwnProperty(this.throttleProfile)) {
+            this.showPopUpMsg(`Unknown network profile '${this.throttleProfile}' in liveServer.settings.throttle. Requests are not throttled.`, true);
+            this.throttleProfile = 'none';
+        }
+        return profiles[this.throttleProfile];
+    }
+    /**
+     * Records the requests of every running server, and of servers started while recording.
+     * The requests of an earlier recording are dropped.
+     */
+    StartRecording() {
+        if (this.recording) {
+            this.showPopUpMsg('Requests are already being recorded.');
             return;
-        if (!this.IsServerRunning) {
-            this.showPopUpMsg(`Server is not already running`);
+        }
+        this.recording = true;
+        this.recordedEntries = [];
+        this.servers.forEach(server => server.instance.startRecording());
+        this.updateStatusBar();
+        this.showPopUpMsg(this.IsServerRunning
+            ? 'Recording requests. Stop the recording to export it as a HAR file.'
+            : 'Requests will be recorded once a server is started.');
+    }
+    StopRecording() {
+        if (!this.recording) {
+            this.showPopUpMsg('Requests are not being recorded.');
             return;
         }
-        this.goOfflineEvent.fire({ runningPort: this.runningPort });
-        this.isServerBusy = true;
-        StatusbarUi_1.StatusbarUi.Working('Disposing...');
-        LiveServerHelper_1.LiveServerHelper.StopServer(this.LiveServerInstance, () => {
-            this.showPopUpMsg('Server is now offline.');
-            this.isServerBusy = false;
-            this.ToggleStatusBar();
-            this.LiveServerInstance = null;
-            this.runningPort = null;
-            this.previousWorkspacePath = null;
+        this.recording = false;
+        this.servers.forEach(server => server.instance.stopRecording());
+        this.updateStatusBar();
+        const count = this.getRecordedEntries().length;
+        const exportHar = 'Export HAR...';
+        vscode_1.window.showInformationMessage(`Recorded ${count} request${count === 1 ? '' : 's'}.`, ...(count ? [exportHar] : []))
+            .then(choice => {
+            if (choice === exportHar) {
+                this.ExportHar();
+            }
         });
     }
+    /**
+     * Saves the requests of the last recording (or of the running one so far) as a HAR file.
+     */
+    ExportHar() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const entries = this.getRecordedEntries();
+            if (!entries.length) {
+                this.showPopUpMsg('No requests were recorded. Run "Live Server: Start Recording Requests" first.');
+                return;
+            }
+            const folders = vscode_1.workspace.workspaceFolders || [];
+            const fileName = `live-server-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+            const uri = yield vscode_1.window.showSaveDialog({
+                defaultUri: folders.length ? vscode_1.Uri.file(path.join(folders[0].uri.fsPath, fileName)) : undefined,
+                filters: { 'HAR files': ['har'] }
+            });
+            if (!uri)
+                return;
+            try {
+                fs.writeFileSync(uri.fsPath, JSON.stringify(LiveServerHelper_1.LiveServerHelper.ToHar(entries), null, 2));
+            }
+            catch (err) {
+                return this.showPopUpMsg(`Can't write ${uri.fsPath}: ${err.message}`, true);
+            }
+            this.showPopUpMsg(`Exported ${entries.length} request${entries.length === 1 ? '' : 's'} to ${uri.fsPath}`);
+        });
+    }
+    getRecordedEntries() {
+        const entries = [...this.recordedEntries];
+        this.servers.forEach(server => entries.push(...server.instance.getRecording()));
+        return entries;
+    }
     changeWorkspaceRoot() {
         (0, workspaceResolver_1.setOrChangeWorkspace)()
             .then(workspaceName => {
             if (workspaceName === undefined)
                 return;
             vscode_1.window.showInformationMessage(`Success! '${workspaceName}' workspace is now root of Live Server`);
-            // If server is running, Turn off the server.
-            if (this.IsServerRunning)
-                this.GoOffline();
         });
     }
-    isCorrectWorkspace(workspacePath) {
-        if (this.IsServerRunning &&
-            this.previousWorkspacePath &&
-            this.previousWorkspacePath !== workspacePath) {
-            this.showPopUpMsg(`Server is already running from different workspace.`, true);
-            return false;
+    findServer(fsPath) {
+        return [...this.servers.values()].find(server => fsPath === server.workspacePath || fsPath.startsWith(server.workspacePath + path.sep));
+    }
+    pickRunningServer() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const servers = [...this.servers.values()];
+            if (servers.length === 1)
+                return servers[0];
+            const activeEditor = vscode_1.window.activeTextEditor;
+            const activeServer = activeEditor && this.findServer(activeEditor.document.fileName);
+            if (activeServer)
+                return activeServer;
+            const picked = yield vscode_1.window.showQuickPick(servers.map(server => ({
+                label: server.name,
+                description: `Port : ${server.port}`,
+                server
+            })), { placeHolder: 'choose Live Server to stop' });
+            return picked && picked.server;
+        });
+    }
+    getStartErrorMsg(err, params) {
+        const lastPort = params.port + params.portFallback;
+        const ports = lastPort > params.port ? `Ports ${params.port} - ${lastPort} are` : `Port ${params.port} is`;
+        switch (err.code) {
+            case 'EADDRINUSE':
+                return `${ports} currently taken. Change liveServer.settings.port or liveServer.settings.portFallbackRange.`;
+            case 'EACCES':
+                return `Permission denied to use port ${err.port || params.port}. Change liveServer.settings.port to a port above 1024.`;
+            default:
+                return `Something is went wrong! ${err.message || ''} Please check into Developer Console or report on GitHub.`;
         }
-        else
-            this.previousWorkspacePath = workspacePath;
-        return true;
     }
-    tagMissedCallback() {
-        this.showPopUpMsg('Live Reload is not possible without a head or body tag.', null, true);
+    /**
+     * The one-time password is not stored anywhere, it is only shown here and in the Output channel.
+     */
+    showPassword(server, auth) {
+        const copy = 'Copy Password';
+        OutputHelper_1.OutputHelper.appendLine(`${server.name} (port ${server.port}): user '${auth.username}', password '${auth.password}'`);
+        vscode_1.window.showInformationMessage(`Live Server on port ${server.port} asks for user '${auth.username}' and a one-time password.`, copy)
+            .then(choice => {
+            if (choice === copy) {
+                vscode_1.env.clipboard.writeText(auth.password);
+            }
+        });
+    }
+    getWorkspaceName(workspacePath) {
+        const folder = (vscode_1.workspace.workspaceFolders || []).find(e => e.uri.fsPath === workspacePath);
+        return folder ? folder.name : path.basename(workspacePath);
+    }
+    /**
+     * Servers of other workspace folders may already hold the configured port.
+     */
+    getUnusedPort(port) {
+        if (!port)
+            return port;
+        const usedPorts = [...this.servers.values()].map(server => server.port);
+        while (usedPorts.indexOf(port) > -1)
+            port++;
+        return port;
+    }
+    /**
+     * @param appended true if the script was added at the end of a page without a body tag, where it still runs
+     */
+    tagMissedCallback(appended) {
+        this.showPopUpMsg(appended
+            ? 'A page without a body tag was served. The Live Reload script was added at its end.'
+            : 'Live Reload is not possible without a head or body tag.', null, true);
     }
     showPopUpMsg(msg, isErrorMsg = false, isWarning = false) {
         if (isErrorMsg) {
@@ -156,14 +440,19 @@ class AppModel {
             });
         }
     }
-    ToggleStatusBar() {
-        if (!this.IsServerRunning) {
-            StatusbarUi_1.StatusbarUi.Offline(this.runningPort || Config_1.Config.getPort);
-        }
-        else {
-            StatusbarUi_1.StatusbarUi.Live();
-        }
-        this.IsServerRunning = !this.IsServerRunning;
+    updateStatusBar() {
+        const workspaceFolders = vscode_1.workspace.workspaceFolders || [];
+        const isMultiRoot = workspaceFolders.length > 1;
+        StatusbarUi_1.StatusbarUi.Live();
+        this.servers.forEach(server => {
+            StatusbarUi_1.StatusbarUi.Offline(server.workspacePath, server.port, isMultiRoot ? server.name : null, server.exposure);
+        });
+        StatusbarUi_1.StatusbarUi.Sync(this.syncEnabled, this.IsServerRunning);
+        const profiles = Helper_1.Helper.getThrottleProfiles();
+        StatusbarUi_1.StatusbarUi.Throttle(this.throttleProfile, Helper_1.Helper.describeThrottleProfile(profiles[this.throttleProfile]), this.IsServerRunning);
+        StatusbarUi_1.StatusbarUi.Recording(this.recording);
+        StatusbarUi_1.StatusbarUi.ShowGoLive(!workspaceFolders.length ||
+            workspaceFolders.some(folder => !this.servers.has(folder.uri.fsPath)));
     }
     haveAnySupportedFile() {
         return new Promise(resolve => {
@@ -175,8 +464,48 @@ class AppModel {
             }));
         });
     }
+    /**
+     * Lets the user pick a launch profile of `.liveserverrc.json` and starts its server.
+     * A server of the folder running with another profile is restarted.
+     */
+    StartProfile() {
+        return __awaiter(this, void 0, void 0, function* () {
+            const picked = yield ProfileHelper_1.ProfileHelper.Pick();
+            if (!picked)
+                return;
+            const running = this.servers.get(picked.workspacePath);
+            if (running && (!running.profile || running.profile.name !== picked.profile.name)) {
+                yield this.GoOffline(picked.workspacePath);
+            }
+            return this.Golive(picked.workspacePath, picked.profile);
+        });
+    }
+    /**
+     * Runs `fn` with the settings of the workspace folder and profile of the server at `port`.
+     */
+    withServerSettings(port, fn) {
+        const server = [...this.servers.values()].find(server => server.port === port);
+        return Config_1.Config.withFolder(server ? server.workspacePath : null, server && server.profile ? server.profile.settings : null, fn);
+    }
+    getServerHost() {
+        const useLocalIp = Config_1.Config.getLocalIp && !Config_1.Config.getAccessControl.localhostOnly;
+        return (useLocalIp ? require('ips')().local : Config_1.Config.getHost) || '127.0.0.1';
+    }
+    /**
+     * @param path path relative to the server root, e.g. `about/index.html`
+     */
+    getServerUrl(port, path = '') {
+        return this.withServerSettings(port, () => {
+            const protocol = Config_1.Config.getHttps.enable ? 'https' : 'http';
+            path = path.replace(/\\/gi, '/').replace(/^\//, '');
+            return `${protocol}://${this.getServerHost()}:${port}/${path}`;
+        });
+    }
     openBrowser(port, path) {
-        const host = (Config_1.Config.getLocalIp ? require('ips')().local : Config_1.Config.getHost) || '127.0.0.1';
+        this.withServerSettings(port, () => this.launchBrowser(port, path));
+    }
+    launchBrowser(port, path) {
+        const host = this.getServerHost();
         const protocol = Config_1.Config.getHttps.enable ? 'https' : 'http';
         let params = [];
         let advanceCustomBrowserCmd = Config_1.Config.getAdvancedBrowserCmdline;
@@ -240,15 +569,23 @@ class AppModel {
             require('opn')(`${protocol}://${host}:${port}/${path}`, { app: params || [''] });
         }
         catch (error) {
-            this.showPopUpMsg(`Server is started at ${host}:${this.runningPort} but failed to open browser. Try to change the CustomBrowser settings.`, true);
+            this.showPopUpMsg(`Server is started at ${host}:${port} but failed to open browser. Try to change the CustomBrowser settings.`, true);
             console.log('\n\nError Log to open Browser : ', error);
             console.log('\n\n');
         }
     }
     dispose() {
-        this.GoOffline();
+        // The status bar and Output channel are disposed right away, so the servers are stopped without updating them
+        this.servers.forEach(server => {
+            LiveServerHelper_1.LiveServerHelper.StopServer(server.instance)
+                .catch(err => console.error('Failed to stop Live Server on port %d:', server.port, err));
+        });
+        this.servers.clear();
         StatusbarUi_1.StatusbarUi.dispose();
+        OutputHelper_1.OutputHelper.dispose();
         this.liveShareHelper.dispose();
+        this.liveTypingHelper.dispose();
+        ProfileHelper_1.ProfileHelper.dispose();
     }
 }
 exports.AppModel = AppModel;
@@ -13,7 +13,14 @@ exports.deactivate = exports.activate = void 0;
 const vscode_1 = require("vscode");
 const appModel_1 = require("./appModel");
 const announcement_1 = require("./announcement");
+const HttpsHelper_1 = require("./HttpsHelper");
+const api_1 = require("./api");
+const PreviewPanel_1 = require("./PreviewPanel");
+const ProfileHelper_1 = require("./ProfileHelper");
+const Config_1 = require("./Config");
+const ClientsTreeProvider_1 = require("./ClientsTreeProvider");
 function activate(context) {
+    HttpsHelper_1.HttpsHelper.Init(context.globalStorageUri.fsPath);
     const appModel = new appModel_1.AppModel();
     Promise.resolve().then(() => {
         context.globalState.setKeysForSync([announcement_1.SETUP_STRING]);
@@ -21,20 +28,77 @@ function activate(context) {
     });
     context.subscriptions.push(vscode_1.commands
         .registerCommand('extension.liveServer.goOnline', (fileUri) => __awaiter(this, void 0, void 0, function* () {
-        yield vscode_1.workspace.saveAll();
-        appModel.Golive(fileUri ? fileUri.fsPath : null);
+        yield saveAll(fileUri);
+        // The URL makes the command usable as `${command:extension.liveServer.goOnline}` in launch configs
+        return appModel.Golive(fileUri ? fileUri.fsPath : null);
     })));
     context.subscriptions.push(vscode_1.commands
-        .registerCommand('extension.liveServer.goOffline', () => {
-        appModel.GoOffline();
+        .registerCommand('extension.liveServer.goOffline', (target) => {
+        // `target` is a workspace path from the status bar or a file Uri from the editor context menu
+        return appModel.GoOffline(target && target.fsPath ? target.fsPath : target);
     }));
     context.subscriptions.push(vscode_1.commands
         .registerCommand('extension.liveServer.changeWorkspace', () => {
         appModel.changeWorkspaceRoot();
     }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.toggleSync', () => {
+        appModel.ToggleSync();
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.changeThrottle', () => {
+        return appModel.ChangeThrottle();
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.startProfile', () => __awaiter(this, void 0, void 0, function* () {
+        yield saveAll();
+        return appModel.StartProfile();
+    })));
+    context.subscriptions.push(ProfileHelper_1.ProfileHelper.Watch());
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.openPreview', (fileUri) => __awaiter(this, void 0, void 0, function* () {
+        yield saveAll(fileUri);
+        yield PreviewPanel_1.PreviewPanel.Show(appModel, fileUri);
+    })));
+    const clientsTree = new ClientsTreeProvider_1.ClientsTreeProvider(appModel);
+    context.subscriptions.push(clientsTree);
+    context.subscriptions.push(vscode_1.window.createTreeView(ClientsTreeProvider_1.CLIENTS_VIEW, { treeDataProvider: clientsTree }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.reloadClient', (element) => {
+        clientsTree.Reload(element);
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.navigateClient', (element) => {
+        return clientsTree.Navigate(element);
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.disconnectClient', (element) => {
+        clientsTree.Disconnect(element);
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.startRecording', () => {
+        appModel.StartRecording();
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.stopRecording', () => {
+        appModel.StopRecording();
+    }));
+    context.subscriptions.push(vscode_1.commands
+        .registerCommand('extension.liveServer.exportHar', () => {
+        return appModel.ExportHar();
+    }));
     context.subscriptions.push(appModel);
+    return (0, api_1.createApi)(appModel);
 }
 exports.activate = activate;
+/**
+ * Saves all files before a server starts, unless live typing serves the unsaved text anyway.
+ * @param fileUri file or folder the server is started for, its workspace folder can set live typing
+ */
+function saveAll(fileUri) {
+    const liveTyping = Config_1.Config.withFolder(fileUri && fileUri.fsPath, null, () => Config_1.Config.getLiveTyping);
+    return liveTyping.enable === true ? Promise.resolve(true) : vscode_1.workspace.saveAll();
+}
 function deactivate() {
 }
 exports.deactivate = deactivate;
@@ -0,0 +1,135 @@
+'use strict';
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const assert = require("assert");
+const path = require("path");
+const LiveServer = require("live-server");
+const api_1 = require("../../src/api");
+const DATA = path.join(__dirname, '..', '..', '..', 'lib', 'live-server', 'test', 'data');
+const IMAGES = path.join(__dirname, '..', '..', '..', 'images');
+const WORKSPACE_FOLDERS = [DATA, IMAGES];
+/** `vscode.EventEmitter` without vscode: `event(listener, thisArgs, disposables)` and `fire(value)`. */
+function emitter() {
+    const listeners = new Set();
+    return {
+        event(listener, thisArgs, disposables) {
+            const bound = (value) => listener.call(thisArgs, value);
+            const disposable = { dispose: () => listeners.delete(bound) };
+            listeners.add(bound);
+            if (disposables)
+                disposables.push(disposable);
+            return disposable;
+        },
+        fire(value) {
+            listeners.forEach(listener => listener(value));
+        }
+    };
+}
+/**
+ * The part of AppModel the API uses, with real live-server instances. Workspace folders are served as they are.
+ */
+class FakeAppModel {
+    constructor() {
+        this.servers = new Map();
+        this.opened = [];
+        this.serverStartEvent = emitter();
+        this.serverStopEvent = emitter();
+        this.onDidStartServer = this.serverStartEvent.event;
+        this.onDidStopServer = this.serverStopEvent.event;
+    }
+    StartServer(pathUri) {
+        return __awaiter(this, void 0, void 0, function* () {
+            // Like workspaceResolver: the folder of the path, the first folder if there is no path
+            const workspacePath = pathUri ? WORKSPACE_FOLDERS.find(folder => pathUri === folder || pathUri.startsWith(folder + path.sep)) : WORKSPACE_FOLDERS[0];
+            const runningServer = this.servers.get(workspacePath);
+            if (runningServer)
+                return runningServer;
+            const instance = LiveServer.start({ root: workspacePath, port: 0, open: false, logLevel: 0, wait: 0 });
+            yield instance.listening;
+            const server = { workspacePath, rootPath: workspacePath, port: instance.address().port, instance };
+            this.servers.set(workspacePath, server);
+            this.serverStartEvent.fire(server);
+            return server;
+        });
+    }
+    GoOffline(workspacePath) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const server = this.servers.get(workspacePath);
+            this.servers.delete(workspacePath);
+            yield server.instance.shutdown();
+            this.serverStopEvent.fire(server);
+        });
+    }
+    findServer(fsPath) {
+        return [...this.servers.values()].find(server => fsPath === server.workspacePath || fsPath.startsWith(server.workspacePath + path.sep));
+    }
+    getServerUrl(port, relativePath = '') {
+        return `http://127.0.0.1:${port}/${relativePath}`;
+    }
+    openBrowser(port, relativePath) {
+        this.opened.push(this.getServerUrl(port, relativePath));
+    }
+}
+suite('API', () => {
+    let appModel;
+    let api;
+    setup(() => {
+        appModel = new FakeAppModel();
+        api = (0, api_1.createApi)(appModel);
+    });
+    teardown(() => api.stop());
+    test('starts a server once per folder and reports it', () => __awaiter(void 0, void 0, void 0, function* () {
+        const started = [];
+        api.onDidStart(status => started.push(status));
+        const result = yield api.start({ folder: { fsPath: DATA } });
+        assert.deepStrictEqual(result, { url: appModel.getServerUrl(result.port), port: result.port });
+        assert.deepStrictEqual(yield api.start({ folder: path.join(DATA, 'index.html') }), result);
+        assert.deepStrictEqual(started, [{ workspaceFolder: DATA, rootPath: DATA, port: result.port, url: result.url, clients: 0 }]);
+        assert.deepStrictEqual(api.getStatus(), { running: true, servers: started });
+        assert.deepStrictEqual(appModel.opened, []);
+    }));
+    test('opens the browser only when asked to', () => __awaiter(void 0, void 0, void 0, function* () {
+        const result = yield api.start({ openBrowser: true });
+        assert.deepStrictEqual(appModel.opened, [result.url]);
+    }));
+    test('rejects a start while the folder is busy', () => __awaiter(void 0, void 0, void 0, function* () {
+        appModel.StartServer = () => Promise.resolve(undefined);
+        yield assert.rejects(api.start(), /already starting or stopping/);
+    }));
+    test('stops the server of a folder, or all of them', () => __awaiter(void 0, void 0, void 0, function* () {
+        const stopped = [];
+        const disposables = [];
+        api.onDidStop(function (status) {
+            stopped.push([this.name, status.workspaceFolder]);
+        }, { name: 'listener' }, disposables);
+        yield api.start({ folder: DATA });
+        yield api.start({ folder: IMAGES });
+        // A folder which has no server is ignored
+        yield api.stop(path.join(DATA, '..'));
+        assert.strictEqual(api.getStatus().servers.length, 2);
+        yield api.stop({ fsPath: IMAGES });
+        assert.deepStrictEqual(stopped, [['listener', IMAGES]]);
+        disposables.forEach(disposable => disposable.dispose());
+        yield api.stop();
+        assert.deepStrictEqual(api.getStatus(), { running: false, servers: [] });
+        assert.deepStrictEqual(stopped, [['listener', IMAGES]]);
+    }));
+    test('reloads the servers which serve the given files', () => __awaiter(void 0, void 0, void 0, function* () {
+        yield api.start({ folder: DATA });
+        const reloaded = [];
+        appModel.findServer(DATA).instance.reload = (paths) => reloaded.push(paths);
+        api.reload();
+        api.reload([{ fsPath: path.join(DATA, 'style.css') }, '/elsewhere/style.css']);
+        api.reload(['/elsewhere/style.css']);
+        assert.deepStrictEqual(reloaded, [undefined, [path.join(DATA, 'style.css')]]);
+    }));
+});
+//# sourceMappingURL=api.test.js.map
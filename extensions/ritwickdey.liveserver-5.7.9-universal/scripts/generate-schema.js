@@ -0,0 +1,90 @@
+'use strict';
+/**
+ * Writes lib/live-server/liveserverrc.schema.json, the schema of `.liveserverrc.json`, from the `liveServer.settings.*`
+ * of contributes.configuration in package.json, so profiles accept exactly the settings the extension has.
+ * live-server reads the defaults of the settings from it too, so its command line needs nothing of the extension.
+ * Run by `vscode:prepublish`, or with `npm run schema` after changing a setting.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PREFIX = 'liveServer.settings.';
+const MANIFEST_FILE = path.join(__dirname, '..', 'package.json');
+const SCHEMA_FILE = path.join(__dirname, '..', 'lib', 'live-server', 'liveserverrc.schema.json');
+/** Settings of the editor rather than of a server, a profile can't change them. */
+const EDITOR_SETTINGS = ['showOnStatusbar', 'donotShowInfoMsg', 'donotVerifyTags', 'multiRootWorkspaceName'];
+
+function typesOf(schema) {
+    return schema.type ? [].concat(schema.type) : [];
+}
+/**
+ * Schema of a setting in a profile, with its default. Settings which are not strings can also be a `${env:NAME}` variable,
+ * which the extension turns into the type of the setting.
+ */
+function profileProperty(setting) {
+    const schema = Object.assign({}, setting);
+    delete schema.scope;
+    if (typesOf(schema).includes('string'))
+        return schema;
+    const description = schema.description;
+    const defaultValue = schema.default;
+    delete schema.description;
+    delete schema.default;
+    return { anyOf: [schema, { $ref: '#/definitions/variable' }], description, default: defaultValue };
+}
+function buildSchema(manifest) {
+    const settings = manifest.contributes.configuration.properties;
+    const properties = {
+        extends: {
+            anyOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+            ],
+            description: 'Name(s) of the profile(s) whose settings this profile starts from. Later ones and the profile itself win.'
+        }
+    };
+    Object.keys(settings).forEach(key => {
+        const name = key.slice(PREFIX.length);
+        if (key.indexOf(PREFIX) === 0 && !EDITOR_SETTINGS.includes(name))
+            properties[name] = profileProperty(settings[key]);
+    });
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Live Server launch profiles',
+        type: 'object',
+        // Like the VS Code settings, the file may have comments and trailing commas
+        allowComments: true,
+        allowTrailingCommas: true,
+        properties: {
+            $schema: { type: 'string' },
+            default: {
+                type: 'string',
+                description: 'Profile used by `Go Live` and `Open with Live Server`. Without it they use the VS Code settings.'
+            },
+            profiles: {
+                type: 'object',
+                additionalProperties: { $ref: '#/definitions/profile' },
+                description: 'Launch profiles by name. A profile sets `liveServer.settings.*` values (without the prefix), the VS Code settings apply to everything else. Strings can use `${env:NAME}` and `${workspaceFolder}`.'
+            }
+        },
+        required: ['profiles'],
+        additionalProperties: false,
+        definitions: {
+            variable: {
+                type: 'string',
+                pattern: '^\\$\\{(env:[^}]+|workspaceFolder)\\}$',
+                description: 'Value of an environment variable, e.g. `${env:PORT}`.'
+            },
+            profile: {
+                type: 'object',
+                properties,
+                additionalProperties: false
+            }
+        }
+    };
+}
+exports.buildSchema = buildSchema;
+if (require.main === module) {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    fs.writeFileSync(SCHEMA_FILE, JSON.stringify(buildSchema(manifest), null, '\t') + '\n');
+}